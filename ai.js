@@ -0,0 +1,274 @@
+/**
+ * ai.js — One completion for summarize / suggest, from wherever a model is available
+ *
+ *   1. sampling  the MCP client's own model (sampling/createMessage), when it offers one
+ *   2. provider  an HTTP provider from the registry: openai (any compatible endpoint),
+ *                anthropic (Messages API) or ollama (local)
+ *
+ * Provider settings come from `ai` in ~/.devctx/config.json: { provider, model,
+ * baseUrl, temperature, timeoutMs, retries, backoffMs }. `ai` in .devctx/config.json
+ * may override the tuning ones, but never provider or baseUrl: the user's key
+ * goes wherever those point, so a commit must not be able to redirect it. API
+ * keys are only read from the environment or the user file, and a per-call aiBaseUrl
+ * only gets the aiApiKey passed with it.
+ *
+ * Replies are pulled out of surrounding prose, checked against the expected
+ * shape, and get one repair round-trip when they don't fit. Requests ask for at
+ * most MAX_TOKENS and replies over MAX_CHARS are refused.
+ */
+
+import { loadConfig } from "./storage.js";
+import { readUserJson } from "./userdir.js";
+
+export const MAX_TOKENS = 800;
+export const MAX_CHARS = 8000;
+
+const SYSTEM = "You extract structured coding context. Reply with JSON only — no prose, no markdown.";
+
+const DEFAULT_AI = { provider: "openai", temperature: 0.2, timeoutMs: 30_000, retries: 2, backoffMs: 500 };
+
+// ─── Providers ────────────────────────────────────────────────────────────────
+// call({ prompt, system, model, temperature, maxTokens, baseUrl, apiKey, signal }) → { text, model }
+
+const providers = new Map();
+
+export function registerProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+export const listProviders = () => [...providers.keys()];
+
+class HttpError extends Error {
+  constructor(status, retryAfter = null) {
+    super(`AI error: ${status}`);
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+async function postJson(url, headers, body, signal) {
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!r.ok) throw new HttpError(r.status, parseFloat(r.headers.get("retry-after")) || null);
+  return r.json();
+}
+
+registerProvider("openai", {
+  defaults: { baseUrl: "https://api.openai.com/v1", model: "gpt-4o-mini", keyEnv: "OPENAI_API_KEY" },
+  needsKey: true,
+  async call({ prompt, system, model, temperature, maxTokens, baseUrl, apiKey, signal }) {
+    const d = await postJson(`${baseUrl}/chat/completions`, { Authorization: `Bearer ${apiKey}` }, {
+      model,
+      messages: [{ role: "system", content: system }, { role: "user", content: prompt }],
+      temperature,
+      max_tokens: maxTokens,
+    }, signal);
+    return { text: d.choices?.[0]?.message?.content || "", model: d.model || model };
+  },
+});
+
+registerProvider("anthropic", {
+  defaults: { baseUrl: "https://api.anthropic.com/v1", model: "claude-3-5-haiku-latest", keyEnv: "ANTHROPIC_API_KEY" },
+  needsKey: true,
+  async call({ prompt, system, model, temperature, maxTokens, baseUrl, apiKey, signal }) {
+    const d = await postJson(`${baseUrl}/messages`, { "x-api-key": apiKey, "anthropic-version": "2023-06-01" }, {
+      model,
+      system,
+      messages: [{ role: "user", content: prompt }],
+      temperature,
+      max_tokens: maxTokens,
+    }, signal);
+    const text = (d.content || []).filter(c => c.type === "text").map(c => c.text).join("");
+    return { text, model: d.model || model };
+  },
+});
+
+registerProvider("ollama", {
+  defaults: { baseUrl: "http://localhost:11434", model: "llama3.1" },
+  needsKey: false,
+  async call({ prompt, system, model, temperature, maxTokens, baseUrl, signal }) {
+    const d = await postJson(`${baseUrl}/api/chat`, {}, {
+      model,
+      messages: [{ role: "system", content: system }, { role: "user", content: prompt }],
+      stream: false,
+      format: "json",
+      options: { temperature, num_predict: maxTokens },
+    }, signal);
+    return { text: d.message?.content || "", model: d.model || model };
+  },
+});
+
+/** Effective AI settings: defaults ← ~/.devctx/config.json ← .devctx/config.json. Key, provider and URL only from user file/env. */
+export function aiConfig(cwd = process.cwd()) {
+  const user = readUserJson("config.json")?.ai || {};
+  const { apiKey: _key, provider: _provider, baseUrl: _url, ...repo } = loadConfig(cwd)?.ai || {};
+  return { ...DEFAULT_AI, ...user, ...repo, apiKey: user.apiKey || null };
+}
+
+const retryable = (e) => e.name === "TimeoutError" || e.name === "AbortError" ||
+  (e instanceof HttpError ? e.status === 429 || e.status >= 500 : e instanceof TypeError);
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/** Call the configured provider with timeout and exponential backoff (honours Retry-After). */
+async function viaProvider(prompt, cfg, overrides = {}) {
+  const name = cfg.provider;
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`Unknown AI provider '${name}'. Known: ${listProviders().join(", ")}`);
+  const d = provider.defaults;
+  // A caller-chosen endpoint only ever gets the caller's own key, never a stored one
+  const apiKey = overrides.baseUrl ? overrides.apiKey
+    : overrides.apiKey || process.env.DEVCTX_AI_KEY || (d.keyEnv && process.env[d.keyEnv]) || cfg.apiKey;
+  if (provider.needsKey && !apiKey) {
+    if (overrides.baseUrl) throw new Error(`No model available: aiBaseUrl needs aiApiKey alongside it — stored keys are never sent to a caller-chosen endpoint.`);
+    throw new Error(`No model available: '${name}' needs a key (DEVCTX_AI_KEY${d.keyEnv ? `, ${d.keyEnv}` : ""}, aiApiKey, or ai.apiKey in ~/.devctx/config.json). Editors with MCP sampling need none.`);
+  }
+  const req = {
+    prompt,
+    system: SYSTEM,
+    model: cfg.model || d.model,
+    temperature: cfg.temperature,
+    maxTokens: MAX_TOKENS,
+    baseUrl: (overrides.baseUrl || cfg.baseUrl || d.baseUrl).replace(/\/$/, ""),
+    apiKey,
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const r = await provider.call({ ...req, signal: AbortSignal.timeout(cfg.timeoutMs) });
+      return { text: capped(r.text, name), via: "http", provider: name, model: r.model };
+    } catch (e) {
+      if (attempt >= cfg.retries || !retryable(e)) {
+        if (e.name === "TimeoutError") throw new Error(`AI timed out after ${cfg.timeoutMs}ms (${name}).`);
+        if (e instanceof TypeError) throw new Error(`Can't reach ${name} at ${req.baseUrl}: ${e.cause?.code || e.message}`);
+        throw e;
+      }
+      const wait = e.retryAfter ? e.retryAfter * 1000 : cfg.backoffMs * 2 ** attempt * (0.75 + Math.random() / 2);
+      await sleep(wait);
+    }
+  }
+}
+
+// ─── Sampling ─────────────────────────────────────────────────────────────────
+
+/** Sampler for this request, or null when the client can't sample. */
+export function clientSampler(server, extra = {}) {
+  if (!server.getClientCapabilities()?.sampling) return null;
+  return (params) => server.createMessage(params, { relatedRequestId: extra.requestId });
+}
+
+function capped(text, via) {
+  if (text.length > MAX_CHARS) throw new Error(`AI response too large (${text.length} chars via ${via}, limit ${MAX_CHARS})`);
+  return text;
+}
+
+async function viaSampling(prompt, sample, cfg) {
+  const r = await sample({
+    messages: [{ role: "user", content: { type: "text", text: prompt } }],
+    systemPrompt: SYSTEM,
+    includeContext: "none",
+    temperature: cfg.temperature,
+    maxTokens: MAX_TOKENS,
+    modelPreferences: { speedPriority: 0.8, costPriority: 0.7, intelligencePriority: 0.3 },
+  });
+  const text = [].concat(r.content).filter(c => c?.type === "text").map(c => c.text).join("");
+  if (!text) throw new Error("Client returned no text from sampling.");
+  return { text: capped(text, "sampling"), via: "sampling", model: r.model || null };
+}
+
+// ─── JSON out of model text ───────────────────────────────────────────────────
+
+/** First balanced JSON object/array in `text`, ignoring fences and prose around it. */
+export function extractJson(text) {
+  const clean = text.replace(/```(?:json)?/gi, "").trim();
+  try { return JSON.parse(clean); } catch { /* look inside */ }
+  for (let start = 0; start < clean.length; start++) {
+    if (clean[start] !== "{" && clean[start] !== "[") continue;
+    let depth = 0, inString = false, escaped = false;
+    for (let i = start; i < clean.length; i++) {
+      const ch = clean[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') inString = true;
+      else if (ch === "{" || ch === "[") depth++;
+      else if (ch === "}" || ch === "]") {
+        if (--depth === 0) {
+          try { return JSON.parse(clean.slice(start, i + 1)); } catch { break; }
+        }
+      }
+    }
+  }
+  throw new Error("No JSON found in the model's reply.");
+}
+
+/** Shapes for model replies: value → error message, or null when it fits. */
+const strings = (v) => v === undefined || (Array.isArray(v) && v.every(x => typeof x === "string"));
+const text = (v) => v === undefined || v === null || typeof v === "string";
+
+export const SHAPES = {
+  summary: (v) =>
+    typeof v !== "object" || Array.isArray(v) || !v ? "expected a JSON object" :
+    typeof v.task !== "string" || !v.task.trim() ? "'task' must be a non-empty string" :
+    !text(v.goal) || !text(v.state) ? "'goal' and 'state' must be strings" :
+    !["decisions", "nextSteps", "filesChanged"].every(k => strings(v[k])) ? "'decisions', 'nextSteps' and 'filesChanged' must be arrays of strings" :
+    null,
+  suggestions: (v) => {
+    const steps = Array.isArray(v) ? v : v?.nextSteps;
+    if (!Array.isArray(steps) || !steps.length) return "expected {\"nextSteps\": [...]} with at least one step";
+    return steps.every(s => typeof s?.step === "string") ? null : "every next step needs a 'step' string";
+  },
+};
+
+/** Parse and check one reply. Returns { data } or { error }. */
+function parseReply(text, shape) {
+  try {
+    const data = extractJson(text);
+    const error = shape ? SHAPES[shape](data) : null;
+    return error ? { error } : { data };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+// ─── Entry point ──────────────────────────────────────────────────────────────
+
+/**
+ * Ask for JSON matching `shape` (a SHAPES key). Sampling first when `sample` is
+ * given; if the client declines or fails, the configured provider answers.
+ * A reply that doesn't parse or fit gets one repair request on the same path.
+ * Returns { data, via, provider?, model, repaired, samplingError? }.
+ */
+export async function complete(prompt, { sample = null, shape = null, apiKey, baseUrl, cwd = process.cwd() } = {}) {
+  const cfg = aiConfig(cwd);
+  let samplingError = null;
+
+  const ask = async (p) => {
+    if (sample && !samplingError) {
+      try { return await viaSampling(p, sample, cfg); }
+      catch (e) { samplingError = e.message; }
+    }
+    try {
+      return await viaProvider(p, cfg, { apiKey, baseUrl });
+    } catch (e) {
+      throw samplingError ? new Error(`Sampling failed: ${samplingError}. The fallback failed too: ${e.message}`) : e;
+    }
+  };
+
+  let r = await ask(prompt);
+  let parsed = parseReply(r.text, shape);
+  const repaired = !!parsed.error;
+  if (parsed.error) {
+    r = await ask(`${prompt}\n\nYour previous reply was:\n${r.text.slice(0, 2000)}\n\nIt was not usable: ${parsed.error}. Reply again with only the corrected JSON.`);
+    parsed = parseReply(r.text, shape);
+    if (parsed.error) throw new Error(`Model reply was not usable after one repair: ${parsed.error}`);
+  }
+
+  const { text: _text, ...source } = r;
+  return { data: parsed.data, ...source, repaired, ...(samplingError ? { samplingError } : {}) };
+}
@@ -0,0 +1,58 @@
+/**
+ * auth.js — Bearer tokens and Host/Origin allowlists for the HTTP server
+ *
+ * Two tokens, generated on first run into ~/.devctx/auth.json (never the repo):
+ *   token          full access
+ *   readOnlyToken  resume / log / search only
+ * Host and Origin are checked against allowlists so a web page can't reach the
+ * server through DNS rebinding or a cross-origin fetch.
+ */
+
+import { randomBytes, timingSafeEqual } from "crypto";
+import { join } from "path";
+import { readUserJson, writeUserJson, userDir } from "./userdir.js";
+
+const AUTH_FILE = "auth.json";
+
+const newToken = (prefix) => `${prefix}_${randomBytes(24).toString("base64url")}`;
+
+/** Load tokens, creating them on first run (or all over again with rotate). */
+export function loadAuth({ rotate = false } = {}) {
+  let auth = rotate ? null : readUserJson(AUTH_FILE);
+  if (!auth?.token || !auth?.readOnlyToken) {
+    auth = { token: newToken("dcx"), readOnlyToken: newToken("dcxro"), createdAt: new Date().toISOString() };
+    writeUserJson(AUTH_FILE, auth);
+  }
+  return { ...auth, path: join(userDir(), AUTH_FILE) };
+}
+
+function same(a, b) {
+  const x = Buffer.from(a), y = Buffer.from(b);
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+/** "full" | "read" for a valid Authorization header, null otherwise. */
+export function scopeFor(header, auth) {
+  const m = /^Bearer\s+(\S+)$/i.exec(header || "");
+  if (!m) return null;
+  if (same(m[1], auth.token)) return "full";
+  if (same(m[1], auth.readOnlyToken)) return "read";
+  return null;
+}
+
+const LOOPBACK = ["localhost", "127.0.0.1", "[::1]"];
+
+/** Host header values we answer to. Binding to a real interface needs it listed explicitly. */
+export function hostAllowlist(host, port, extra = []) {
+  const names = new Set([...LOOPBACK, ...extra]);
+  if (!["0.0.0.0", "::"].includes(host)) names.add(host);
+  return new Set([...names].flatMap(h => h.includes(":") && !h.startsWith("[") ? [h] : [h, `${h}:${port}`]));
+}
+
+/** Origins allowed to call us from a browser. Requests without an Origin (editors, curl) pass. */
+export function originAllowlist(port, extra = []) {
+  return new Set([...LOOPBACK.map(h => `http://${h}:${port}`), ...extra]);
+}
+
+export const hostAllowed = (hostHeader, allow) => !!hostHeader && allow.has(hostHeader.toLowerCase());
+export const originAllowed = (origin, allow) => !origin || allow.has(origin);
@@ -1,30 +1,452 @@
 #!/usr/bin/env node
 /**
  * cli.js — DevContext CLI
- * 
+ *
  * devctx setup          Auto-configure all detected editors (interactive)
  * devctx mcp            Start stdio MCP server
  * devctx http           Start HTTP/SSE MCP server
  * devctx setup --print  Print all config formats
  * devctx setup --path=  Write config to custom path
  * devctx setup --editor=cursor  Target specific editor
+ *
+ * Context commands run the same tool handlers the MCP server does, so a shell,
+ * a script or a git alias gets exactly what an editor would. Every one of them
+ * prints readable text, or the raw tool result with --json.
  */
 
 const [,,cmd, ...rest] = process.argv;
 
+// ─── Args ─────────────────────────────────────────────────────────────────────
+// --key=value, --key value, repeated keys collect into arrays, bare flags are true.
+
+const BOOLEAN = new Set(["json", "copy", "dry-run", "archived", "read-only", "rotate", "user", "private", "encrypt", "plain"]);
+const REPEATABLE = new Set(["decision", "next", "constraint", "tried", "failed", "file"]);
+
+function parseArgs(argv) {
+  const flags = {}, positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) { positional.push(a); continue; }
+    let [k, v] = a.slice(2).split(/=(.*)/s);
+    if (v === undefined) v = !BOOLEAN.has(k) && argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : true;
+    if (REPEATABLE.has(k)) (flags[k] ||= []).push(v);
+    else flags[k] = v;
+  }
+  return { flags, positional };
+}
+
+const { flags: ARGS, positional: POSITIONAL } = parseArgs(rest);
+
+// ─── Output ───────────────────────────────────────────────────────────────────
+
+function fail(msg) { console.error(msg); process.exit(1); }
+
+/** Call a tool handler and return its parsed JSON payload. */
+async function tool(name, args = {}) {
+  const { handlers } = await import("./handlers.js");
+  try {
+    const r = await handlers.callTool({ params: { name, arguments: args } });
+    return JSON.parse(r.content[0].text);
+  } catch (e) {
+    fail(`devctx: ${e.message}`);
+  }
+}
+
+/** Print --json output, or hand the result to a text formatter. Non-ok results exit 1. */
+function show(result, format) {
+  if (ARGS.json) console.log(JSON.stringify(result, null, 2));
+  else if (result?.ok === false || result?.found === false) console.error(result.msg);
+  else format(result);
+  if (result?.ok === false || result?.found === false) process.exit(1);
+}
+
+async function copyToClipboard(text) {
+  const { execSync } = await import("child_process");
+  const candidates = process.platform === "darwin" ? ["pbcopy"]
+    : process.platform === "win32" ? ["clip"]
+    : ["wl-copy", "xclip -selection clipboard", "xsel --clipboard --input"];
+  for (const c of candidates) {
+    try { execSync(c, { input: text, stdio: ["pipe", "ignore", "ignore"] }); return true; }
+    catch { /* try the next one */ }
+  }
+  return false;
+}
+
+const list = (v) => v == null ? undefined : [].concat(v);
+
+/** "description::reason" → { description, failed: true, reason } */
+const failed = (s) => {
+  const [description, reason] = s.split("::");
+  return { description: description.trim(), failed: true, ...(reason ? { reason: reason.trim() } : {}) };
+};
+
+function entryArgs() {
+  const approaches = [
+    ...(list(ARGS.tried) || []).map(description => ({ description })),
+    ...(list(ARGS.failed) || []).map(failed),
+  ];
+  return {
+    task: ARGS.task,
+    goal: ARGS.goal,
+    state: ARGS.state,
+    decisions: list(ARGS.decision),
+    nextSteps: list(ARGS.next),
+    constraints: list(ARGS.constraint),
+    filesChanged: list(ARGS.file),
+    encrypt: ARGS.encrypt ? true : undefined,
+    ...(approaches.length ? { approaches } : {}),
+  };
+}
+
+// ─── Commands ─────────────────────────────────────────────────────────────────
+
+async function save() {
+  if (!ARGS.task) fail("Usage: devctx save --task \"...\" [--goal] [--state] [--decision ...] [--next ...] [--constraint ...] [--tried ...] [--failed \"what::why\"] [--private] [--encrypt] [--json]");
+  show(await tool("devctx_save", { ...entryArgs(), scope: ARGS.private ? "private" : undefined }), r => {
+    console.log(`Saved ${r.id} [${r.branch}] ${r.task}${r.scope ? " (private)" : ""}${r.encrypted ? " (encrypted)" : ""}`);
+    console.log(`  ${r.tokens} tokens, ${r.steps.open + r.steps.inProgress} open step(s)`);
+  });
+}
+
+async function resume() {
+  const r = await tool("devctx_resume", {
+    tier: ARGS.tier, branch: ARGS.branch, id: ARGS.id, focus: ARGS.focus,
+  });
+  const copied = ARGS.copy && r.found ? await copyToClipboard(r.prompt) : null;
+  show(r, r => {
+    console.log(r.prompt);
+    console.error(`\n[${r.branch}${r.inheritedFrom ? ` ← ${r.inheritedFrom}` : ""} · ${r.tier} · ${r.promptTokens} tokens · saved ${r.savedAt}]`);
+    if (copied !== null) console.error(copied ? "Copied to clipboard." : "No clipboard tool found (pbcopy, clip, wl-copy, xclip, xsel).");
+  });
+}
+
+async function log() {
+  show(await tool("devctx_log", { branch: ARGS.branch, limit: ARGS.limit ? parseInt(ARGS.limit) : undefined }), r => {
+    if (!r.count) { console.log("No context saved yet."); return; }
+    for (const e of r.entries) {
+      const s = e.steps;
+      const progress = s?.total ? `  ${s.done}/${s.total - s.dropped} steps done` : "";
+      const type = [e.mergedFrom ? `merge ← ${e.mergedFrom}` : e.type, e.scope, e.encrypted && "encrypted"]
+        .filter(Boolean).map(t => `  (${t})`).join("");
+      console.log(`${e.id}  [${e.branch}]  ${e.timestamp?.slice(0, 16).replace("T", " ")}  ${e.task}${type}${progress}`);
+    }
+    for (const m of r.merged || []) {
+      console.log(`[${m.branch}] merged into ${m.into}${m.commit ? ` at ${m.commit.slice(0, 8)}` : ""} on ${m.at.slice(0, 10)}`);
+    }
+  });
+}
+
+async function diff() {
+  show(await tool("devctx_diff"), r => {
+    console.log(`Changes on ${r.branch} since ${r.since}:`);
+    console.log(r.diff);
+  });
+}
+
+async function handoff() {
+  if (!ARGS.to || !ARGS.task) fail("Usage: devctx handoff --to @teammate --task \"...\" [--state] [--decision ...] [--next ...] [--copy] [--json]");
+  const r = await tool("devctx_handoff", { to: ARGS.to, ...entryArgs() });
+  const copied = ARGS.copy ? await copyToClipboard(r.prompt) : null;
+  show(r, r => {
+    console.log(r.prompt);
+    console.error(`\n[${r.id} · ${r.promptTokens} tokens]`);
+    if (copied !== null) console.error(copied ? "Copied to clipboard." : "No clipboard tool found.");
+  });
+}
+
+async function config() {
+  const [action, key, ...value] = POSITIONAL;
+  if (action === "set") {
+    if (!key || !value.length) fail("Usage: devctx config set <key> <value>");
+    const raw = value.join(" ");
+    let parsed;
+    try { parsed = JSON.parse(raw); } catch { parsed = raw; }
+    show(await tool("devctx_config_set", { key, value: parsed, user: !!ARGS.user }), r => console.log(`${r.key} = ${JSON.stringify(r.value)}`));
+    return;
+  }
+  if (action && action !== "get") fail("Usage: devctx config get [key] | devctx config set <key> <value> [--user]");
+  const cfg = await tool("devctx_config_list", { user: !!ARGS.user });
+  if (cfg.error) fail(cfg.error);
+  if (key) {
+    const v = key.split(".").reduce((o, k) => o?.[k], cfg);
+    if (ARGS.json) console.log(JSON.stringify(v ?? null));
+    else console.log(typeof v === "object" ? JSON.stringify(v, null, 2) : String(v ?? ""));
+    return;
+  }
+  show(cfg, c => Object.entries(c).forEach(([k, v]) => console.log(`${k} = ${JSON.stringify(v)}`)));
+}
+
+async function search() {
+  const query = POSITIONAL.join(" ");
+  if (!query) fail("Usage: devctx search <query> [--branch=name] [--limit=10] [--archived] [--json]");
+  show(await tool("devctx_search", {
+    query, branch: ARGS.branch, limit: ARGS.limit ? parseInt(ARGS.limit) : undefined, archived: !!ARGS.archived,
+  }), r => {
+    if (!r.count) { console.log(`No matches for "${query}".`); return; }
+    for (const m of r.results) {
+      console.log(`${m.id}  [${m.branch}]  ${m.timestamp?.slice(0, 10)}  ${m.task}${m.archived ? "  (archived)" : ""}`);
+      m.matches.forEach(x => console.log(`  ${x.field}: ${x.snippet}`));
+    }
+  });
+}
+
+async function gc() {
+  if (POSITIONAL[0] === "restore") {
+    const id = POSITIONAL[1];
+    if (!id) fail("Usage: devctx gc restore <id> [--branch=name]");
+    show(await tool("devctx_restore", { id, branch: ARGS.branch }), r => console.log(`Restored ${r.id} [${r.branch}] ${r.task}`));
+    return;
+  }
+  show(await tool("devctx_gc", {
+    branch: ARGS.branch,
+    dryRun: !!ARGS["dry-run"],
+    maxAgeDays: ARGS["max-age"] ? parseInt(ARGS["max-age"]) : undefined,
+    maxArchived: ARGS.keep ? parseInt(ARGS.keep) : undefined,
+  }), report => {
+    const verb = report.dryRun ? "Would archive" : "Archived";
+    for (const b of report.branches) {
+      console.log(`${b.branch}${b.scope ? ` (${b.scope})` : ""}: ${b.orphaned} orphaned, ${b.expired} expired${b.purged.length ? `, ${b.purged.length} purged` : ""}`);
+    }
+    console.log(`${verb} ${report.archived} entr${report.archived === 1 ? "y" : "ies"}${report.purged ? `, purged ${report.purged}` : ""}.`);
+  });
+}
+
+async function promote() {
+  const id = POSITIONAL[0];
+  if (!id) fail("Usage: devctx promote <id> [--branch=name] [--json]");
+  show(await tool("devctx_promote", { id, branch: ARGS.branch }), r => {
+    console.log(`Promoted ${r.id} [${r.branch}] ${r.task}`);
+    if (r.decisionsRegistered) console.log(`  Registered ${r.decisionsRegistered.join(", ")}`);
+  });
+}
+
+async function merge() {
+  const source = POSITIONAL[0];
+  if (!source) fail("Usage: devctx merge <branch> [--into=target] [--commit=sha] [--encrypt|--plain] [--json]");
+  const encrypt = ARGS.encrypt ? true : ARGS.plain ? false : undefined;
+  show(await tool("devctx_merge", { source, target: ARGS.into, commit: ARGS.commit, encrypt }), r => {
+    console.log(`Carried ${r.source} into ${r.target} as ${r.id}${r.commit ? ` (merge ${r.commit.slice(0, 8)})` : ""}${r.encrypted ? " (encrypted)" : ""}`);
+    console.log(`  ${r.decisions} decision(s), ${r.constraints} constraint(s), ${r.failedApproaches} failed approach(es), ${r.openSteps} open step(s)`);
+    if (r.decisionsCarried) console.log(`  Register: ${r.decisionsCarried.join(", ")} now apply to ${r.target}`);
+    if (r.unreadable) console.log(`  Skipped ${r.unreadable.join(", ")}: encrypted with a key you don't have`);
+  });
+}
+
+async function hooks() {
+  const { installHooks, uninstallHooks, hooksStatus, runHook } = await import("./hooks.js");
+  const [action, hook, ...hookArgs] = POSITIONAL;
+
+  // Called from inside a git hook — must never fail the git operation
+  if (action === "run") {
+    try {
+      const out = runHook(hook, hookArgs);
+      if (out) console.error(out);
+    } catch (e) {
+      console.error(`devctx: ${e.message}`);
+    }
+    return;
+  }
+
+  const ops = { install: installHooks, uninstall: uninstallHooks, status: hooksStatus };
+  if (!ops[action]) fail("Usage: devctx hooks install | uninstall | status [--json]");
+  let result;
+  try { result = ops[action](); } catch (e) { fail(`devctx: ${e.message}`); }
+  if (ARGS.json) { console.log(JSON.stringify(result, null, 2)); return; }
+  for (const r of result) {
+    if (action === "status") {
+      const notes = [r.chained && "chains an existing hook", r.other && "another hook is installed"].filter(Boolean);
+      console.log(`${r.hook.padEnd(14)} ${r.installed ? "installed" : "not installed"}${notes.length ? ` (${notes.join(", ")})` : ""}`);
+    } else {
+      console.log(`${r.hook.padEnd(14)} ${r.status}${r.chained ? " (existing hook kept, runs first)" : ""}${r.restored ? " (previous hook restored)" : ""}`);
+    }
+  }
+}
+
+async function validate() {
+  const { validateRepo } = await import("./validate.js");
+  const { repoOf } = await import("./workspace.js");
+  const result = validateRepo(repoOf(process.cwd()));
+  if (ARGS.json) console.log(JSON.stringify(result, null, 2));
+  else if (result.ok) console.log(`${result.checked} files checked, no problems.`);
+  else for (const p of result.problems) console.error(`${p.file}  ${p.path}: ${p.message}`);
+  if (!result.ok) process.exit(1);
+}
+
+async function migrate() {
+  const { migrateRepo } = await import("./migrate.js");
+  const { repoOf } = await import("./workspace.js");
+  let r;
+  try { r = migrateRepo({ dryRun: !!ARGS["dry-run"] }, repoOf(process.cwd())); } catch (e) { fail(`devctx: ${e.message}`); }
+  if (ARGS.json) { console.log(JSON.stringify(r, null, 2)); return; }
+  if (r.from === null) fail("Not initialized.");
+  if (!r.steps.length) { console.log(`Storage is up to date (v${r.from}).`); return; }
+  console.log(`${r.dryRun ? "Would upgrade" : "Upgraded"} storage v${r.from} → v${r.to}`);
+  for (const s of r.steps) {
+    console.log(`  v${s.to}: ${s.description}`);
+    s.changes.forEach(c => console.log(`    ${c}`));
+  }
+  if (r.backup) console.log(`Backup: ${r.backup}`);
+}
+
+async function scan() {
+  const { scanRepo } = await import("./scan.js");
+  const { ensureMigrated } = await import("./migrate.js");
+  const { repoOf } = await import("./workspace.js");
+  const cwd = repoOf(process.cwd());
+  let r;
+  try { ensureMigrated(cwd); r = scanRepo({ dryRun: !!ARGS["dry-run"] }, cwd); } catch (e) { fail(`devctx: ${e.message}`); }
+  if (ARGS.json) console.log(JSON.stringify(r, null, 2));
+  else if (!r.files.length) console.log("No secrets found.");
+  else {
+    for (const f of r.files) console.log(`${f.file}${f.id ? ` (${f.id})` : ""}\n${f.found.map(x => `  ${x.field}: ${x.detector}`).join("\n")}`);
+    console.log(`${r.found} secret(s) ${r.dryRun ? "found" : "redacted"} in ${r.files.length} record(s).`);
+    console.log("Secrets already committed stay in git history: rotate them.");
+  }
+  if (r.dryRun && r.files.length) process.exit(1);
+}
+
+async function key() {
+  const { loadKeyring, exportKey, importKey } = await import("./crypt.js");
+  const { createRepoKey, rotateKey } = await import("./rekey.js");
+  const { loadConfig, isInitialized } = await import("./storage.js");
+  const { repoOf } = await import("./workspace.js");
+  const cwd = repoOf(process.cwd());
+  const [action = "list", arg] = POSITIONAL;
+  const repoKey = () => isInitialized(cwd) ? loadConfig(cwd).encryption?.keyId || null : null;
+  const needRepo = () => { if (!isInitialized(cwd)) fail("Not initialized. Run devctx save or devctx_init first."); };
+  let result;
+  try {
+    if (action === "new") { needRepo(); result = { keyId: createRepoKey(cwd) }; }
+    else if (action === "rotate") { needRepo(); result = rotateKey(cwd); }
+    else if (action === "import") { if (!arg) fail("Usage: devctx key import <devctx-key:…>"); result = { keyId: importKey(arg) }; }
+    else if (action === "export") {
+      const id = arg || repoKey();
+      const line = id && exportKey(id);
+      if (!line) fail(id ? `No key ${id} in your keyring.` : "This repo has no encryption key. Create one with: devctx key new");
+      result = { keyId: id, key: line };
+    }
+    else if (action === "list") result = Object.entries(loadKeyring()).map(([keyId, k]) => ({ keyId, createdAt: k.createdAt, repo: keyId === repoKey() }));
+    else fail("Usage: devctx key new | list | export [id] | import <key> | rotate");
+  } catch (e) { fail(`devctx: ${e.message}`); }
+  if (ARGS.json) { console.log(JSON.stringify(result, null, 2)); return; }
+  if (action === "new") console.log(`Created ${result.keyId} for this repo. Share it over a private channel: devctx key export`);
+  else if (action === "import") console.log(`Imported ${result.keyId}.`);
+  else if (action === "export") { console.log(result.key); console.error("devctx: anyone with this line can read the repo's encrypted context. Send it privately."); }
+  else if (action === "rotate") {
+    console.log(`Rotated ${result.previous || "(none)"} → ${result.keyId}; re-encrypted ${result.reencrypted.length} entr${result.reencrypted.length === 1 ? "y" : "ies"}.`);
+    if (result.skipped.length) console.log(`Skipped ${result.skipped.length} sealed with keys you don't hold: ${[...new Set(result.skipped.map(s => s.keyId))].join(", ")}`);
+    console.log("Share the new key (devctx key export). Keep the old one: git history still needs it.");
+  }
+  else if (!result.length) console.log("No keys. Create one with: devctx key new");
+  else for (const k of result) console.log(`${k.keyId}  ${k.createdAt?.slice(0, 10) || ""}${k.repo ? "  (this repo)" : ""}`);
+}
+
+async function reencrypt() {
+  const { reencryptRepo } = await import("./rekey.js");
+  const { repoOf } = await import("./workspace.js");
+  let r;
+  try { r = reencryptRepo({ keyId: ARGS.key || null, dryRun: !!ARGS["dry-run"] }, repoOf(process.cwd())); } catch (e) { fail(`devctx: ${e.message}`); }
+  if (ARGS.json) { console.log(JSON.stringify(r, null, 2)); return; }
+  console.log(`${r.dryRun ? "Would re-encrypt" : "Re-encrypted"} ${r.reencrypted.length} entr${r.reencrypted.length === 1 ? "y" : "ies"} with ${r.keyId}.`);
+  for (const s of r.skipped) console.log(`  skipped ${s.id} (${s.file}): sealed with ${s.keyId}, not in your keyring`);
+}
+
+async function workspace() {
+  const { addWorkspace, removeWorkspace, listWorkspaces } = await import("./workspace.js");
+  const [action = "list", name] = POSITIONAL;
+  let result;
+  try {
+    if (action === "add") result = addWorkspace(name, ARGS.path || process.cwd());
+    else if (action === "remove") result = { removed: removeWorkspace(name) };
+    else if (action === "list") result = listWorkspaces();
+    else fail("Usage: devctx workspace add [name] [--path=dir] | remove <name> | list");
+  } catch (e) { fail(`devctx: ${e.message}`); }
+  if (ARGS.json) { console.log(JSON.stringify(result, null, 2)); return; }
+  if (action === "add") console.log(`${result.name} → ${result.path}\nHTTP endpoint: /w/${result.name}/mcp`);
+  else if (action === "remove") result.removed ? console.log(`Removed ${name}.`) : fail(`No workspace named '${name}'.`);
+  else {
+    const rows = Object.entries(result);
+    if (!rows.length) console.log("No workspaces. Add one with: devctx workspace add [name]");
+    for (const [n, p] of rows) console.log(`${n.padEnd(20)} ${p}`);
+  }
+}
+
+async function token() {
+  const { loadAuth } = await import("./auth.js");
+  const auth = loadAuth({ rotate: !!ARGS.rotate });
+  if (ARGS.json) { console.log(JSON.stringify(auth, null, 2)); return; }
+  console.log(ARGS["read-only"] ? auth.readOnlyToken : auth.token);
+  if (ARGS.rotate) console.error(`devctx: tokens rotated in ${auth.path}. Restart the HTTP server and re-run setup --http.`);
+}
+
 switch (cmd) {
   case "setup":   await import("./setup.js"); break;
   case "mcp":     await import("./index.js"); break;
   case "http":    await import("./http.js");  break;
+  case "save":    await save(); break;
+  case "resume":  await resume(); break;
+  case "log":     await log(); break;
+  case "diff":    await diff(); break;
+  case "handoff": await handoff(); break;
+  case "config":  await config(); break;
+  case "search":  await search(); break;
+  case "gc":      await gc(); break;
+  case "promote": await promote(); break;
+  case "merge":   await merge(); break;
+  case "hooks":   await hooks(); break;
+  case "validate": await validate(); break;
+  case "migrate": await migrate(); break;
+  case "scan":    await scan(); break;
+  case "key":     await key(); break;
+  case "reencrypt": await reencrypt(); break;
+  case "token":   await token(); break;
+  case "workspace": await workspace(); break;
   default:
     console.log(`devctx <command>
   setup    Auto-configure all detected editors
-  setup --editor=cursor     Target specific editor  
+  setup --editor=cursor     Target specific editor
   setup --path=/my/cfg.json Write to custom config path
   setup --print             Print all config formats (no writes)
   setup --http              Configure HTTP transport instead of stdio
   mcp      Start stdio MCP server (used by editors internally)
   http     Start HTTP/SSE server (for editors that prefer URL-based MCP)
+           --allowed-hosts=a,b  --allowed-origins=https://x  to accept more than loopback
+  workspace add [name] [--path=dir] | remove <name> | list
+           Named repos for one shared HTTP server, served at /w/<name>/mcp
+  token    Print the HTTP bearer token (--read-only for the resume/log/search one,
+           --rotate to replace both)
+
+Context (add --json to any of these for machine-readable output):
+  save --task "..."         Save context. Also --goal, --state, --decision, --next,
+                            --constraint, --tried, --failed "what::why" (repeatable),
+                            --private to keep it in .devctx/local/ (never committed),
+                            --encrypt to seal it with the repo key
+  promote <id>              Move a private entry into the shared context
+  merge <branch>            Carry a merged branch's context into this one
+                            (--into=target, --commit=sha; defaults: current branch, HEAD;
+                            --encrypt / --plain when only the source is encrypted)
+  resume                    Print the resume prompt (--tier=minimal|standard|full,
+                            --branch=, --id=, --focus=, --copy)
+  log                       Recent entries with step progress (--branch=, --limit=)
+  diff                      Git changes since the last save
+  handoff --to @name --task "..."  Save a handoff and print its prompt (--copy)
+  config get [key]          Show config
+  config set <key> <value>  Set config (value parsed as JSON when it can be; dotted keys
+                            like ai.provider nest; --user writes ~/.devctx/config.json)
+  search <query>            Search all saved context (--branch=, --limit=, --archived)
+  gc                        Archive orphaned entries (--dry-run, --max-age=days, --keep=n)
+  gc restore <id>           Move an archived entry back into its branch index
+  hooks install|uninstall|status
+                            Git hooks: context on branch switch, checkpoint on commit,
+                            merge context on merge, warning on push when context is stale
+  validate                  Check .devctx/ files against their schemas (exits 1 on problems)
+  migrate                   Upgrade .devctx/ to the current storage version after a backup
+                            (--dry-run lists what would change; servers do this on start)
+  key new|list|export [id]|import <key>|rotate
+                            Keys for encrypted entries, kept in ~/.devctx/keyring.json
+  reencrypt                 Re-seal encrypted entries with the repo key (--key=id, --dry-run)
+  scan                      Redact secrets in context saved earlier, in place
+                            (--dry-run only lists them and exits 1 if any are found)
 
 Supported editors (auto-detected):
   Cursor, Claude Desktop, Claude Code, Windsurf, Zed,
@@ -0,0 +1,131 @@
+/**
+ * crypt.js — Encrypted entries for context only the team may read
+ *
+ * Entries saved with encrypt: true are sealed with AES-256-GCM under the repo's
+ * key (config.json `encryption.keyId`). The key itself lives in the user's
+ * keyring, ~/.devctx/keyring.json, never in the repo; teammates pass it along
+ * with `devctx key export` / `devctx key import`. On disk only what the index
+ * needs stays readable:
+ *
+ *   { id, timestamp, branch, tokenCount, steps, type?, mergedFrom?, scope?,
+ *     encrypted: { alg, keyId, iv, tag, data } }
+ *
+ * Opened in memory, an entry carries `encrypted: { keyId }`; without the key it
+ * comes back as an empty entry with `locked: true`.
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes } from "crypto";
+import { join } from "path";
+import { stepProgress } from "./steps.js";
+import { readUserJson, writeUserJson, userDir } from "./userdir.js";
+
+const ALG = "aes-256-gcm";
+const KEYRING = "keyring.json";
+const EXPORTED = /^devctx-key:(k_[0-9a-f]{8}):([A-Za-z0-9_-]{43})$/;
+
+// ─── Keyring ──────────────────────────────────────────────────────────────────
+
+/** { [keyId]: { key, createdAt } } from ~/.devctx/keyring.json. */
+export function loadKeyring() {
+  return readUserJson(KEYRING)?.keys || {};
+}
+
+const saveKeyring = (keys) => writeUserJson(KEYRING, { keys });
+
+export const keyringPath = () => join(userDir(), KEYRING);
+
+export const hasKey = (keyId) => !!keyId && !!loadKeyring()[keyId];
+
+/** Generate a 256-bit key, add it to the keyring and return its id. */
+export function createKey() {
+  const keys = loadKeyring();
+  const keyId = `k_${randomBytes(4).toString("hex")}`;
+  keys[keyId] = { key: randomBytes(32).toString("base64url"), createdAt: new Date().toISOString() };
+  saveKeyring(keys);
+  return keyId;
+}
+
+/** One line a teammate can pass to importKey, or null for an unknown id. */
+export function exportKey(keyId) {
+  const k = loadKeyring()[keyId];
+  return k ? `devctx-key:${keyId}:${k.key}` : null;
+}
+
+/** Add an exported key to the keyring. Returns its id. */
+export function importKey(text) {
+  const m = EXPORTED.exec(String(text).trim());
+  if (!m) throw new Error("Not a devctx key (expected devctx-key:k_…:…, from devctx key export).");
+  const keys = loadKeyring();
+  if (keys[m[1]] && keys[m[1]].key !== m[2]) throw new Error(`A different key named ${m[1]} is already in ${keyringPath()}.`);
+  keys[m[1]] ||= { key: m[2], createdAt: new Date().toISOString() };
+  saveKeyring(keys);
+  return m[1];
+}
+
+/** Why encrypted saves can't work in a repo with this config, or null when they can. */
+export function keyProblem(cfg) {
+  const keyId = cfg?.encryption?.keyId;
+  if (!keyId) return "This repo has no encryption key yet. Create one with: devctx key new";
+  if (!hasKey(keyId)) return `This repo encrypts with ${keyId}, which is not in ${keyringPath()}. Get it from a teammate (devctx key export ${keyId}) and run devctx key import.`;
+  return null;
+}
+
+export const lockedMessage = (entry) =>
+  `Entry ${entry.id} is encrypted with ${entry.encrypted?.keyId}, which is not in ${keyringPath()}. Get it from a teammate (devctx key export ${entry.encrypted?.keyId}) and run devctx key import.`;
+
+// ─── Sealing ──────────────────────────────────────────────────────────────────
+
+/** An entry file as written: ciphertext plus the metadata the index needs. */
+export const isSealed = (e) => typeof e?.encrypted?.data === "string";
+
+// Ties the ciphertext to its entry, so it can't be pasted into another file
+const aad = (e) => Buffer.from(`${e.id}\n${e.branch}`);
+
+/** Encrypt an entry under `keyId`. Throws when the key isn't in the keyring. */
+export function seal(entry, keyId) {
+  const k = loadKeyring()[keyId];
+  if (!k) throw new Error(`Key ${keyId} is not in ${keyringPath()}.`);
+  const { encrypted: _, locked: _locked, ...plain } = entry;
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALG, Buffer.from(k.key, "base64url"), iv);
+  cipher.setAAD(aad(entry));
+  const data = Buffer.concat([cipher.update(JSON.stringify(plain), "utf8"), cipher.final()]);
+  return {
+    id: entry.id,
+    timestamp: entry.timestamp,
+    branch: entry.branch,
+    tokenCount: entry.tokenCount,
+    steps: stepProgress(entry.nextSteps),
+    ...(entry.meta?.type ? { type: entry.meta.type } : {}),
+    ...(entry.meta?.mergedFrom ? { mergedFrom: entry.meta.mergedFrom } : {}),
+    ...(entry.scope ? { scope: entry.scope } : {}),
+    encrypted: { alg: ALG, keyId, iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") },
+  };
+}
+
+/**
+ * A stored entry, decrypted when it was sealed. Without the key: an empty entry
+ * with locked: true. Throws when the file was tampered with.
+ */
+export function open(stored) {
+  if (!isSealed(stored)) return stored;
+  const { keyId, iv, tag, data } = stored.encrypted;
+  const k = loadKeyring()[keyId];
+  if (!k) {
+    return {
+      id: stored.id, timestamp: stored.timestamp, branch: stored.branch, task: "", goal: null, state: null,
+      approaches: [], decisions: [], nextSteps: [], constraints: [], pinned: [], filesChanged: [], author: null,
+      meta: { ...(stored.type ? { type: stored.type } : {}), ...(stored.mergedFrom ? { mergedFrom: stored.mergedFrom } : {}) }, tokenCount: stored.tokenCount,
+      ...(stored.scope ? { scope: stored.scope } : {}), encrypted: { keyId }, locked: true,
+    };
+  }
+  try {
+    const decipher = createDecipheriv(ALG, Buffer.from(k.key, "base64url"), Buffer.from(iv, "base64"));
+    decipher.setAAD(aad(stored));
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    const plain = Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8");
+    return { ...JSON.parse(plain), encrypted: { keyId } };
+  } catch {
+    throw new Error(`Entry ${stored.id} does not decrypt with ${keyId}: the file was modified or the key is wrong.`);
+  }
+}
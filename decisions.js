@@ -0,0 +1,179 @@
+/**
+ * decisions.js — Repository-wide decision register (.devctx/decisions/<id>.json)
+ *
+ * ADR-style records that outlive the entry they were made in:
+ *   { id, title, reasoning, status: accepted | superseded | revoked,
+ *     supersedes, supersededBy, scope: repo | branch, branch, entryId, author,
+ *     createdAt, updatedAt, mergedFrom? }
+ * Decisions made on the default branch apply repo-wide; elsewhere they apply to
+ * their own branch until merged. Accepted ones are folded into every resume.
+ * Changes hold the .devctx lock, so ids stay unique across concurrent writers.
+ * One file per record, and only changed records are rewritten: branches that add
+ * decisions side by side merge without conflicts.
+ */
+
+import { readFileSync, existsSync, mkdirSync, readdirSync } from "fs";
+import { join } from "path";
+import { devctxDir, loadConfig, writeJson, withLock } from "./storage.js";
+import { redact, redactRules } from "./redact.js";
+
+export const DECISION_STATUS = ["accepted", "superseded", "revoked"];
+
+const registerDir = (cwd) => join(devctxDir(cwd), "decisions");
+
+/** Paths of the register's record files. */
+export function decisionFiles(cwd = process.cwd()) {
+  const dir = registerDir(cwd);
+  return existsSync(dir) ? readdirSync(dir).filter(f => f.endsWith(".json")).map(f => join(dir, f)) : [];
+}
+
+/** Every record, oldest first. */
+export function loadDecisions(cwd = process.cwd()) {
+  return decisionFiles(cwd).map(p => JSON.parse(readFileSync(p, "utf8")))
+    .sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || "") || a.id.localeCompare(b.id));
+}
+
+/** Write the given records, each to its own file. */
+export function saveDecisions(records, cwd = process.cwd()) {
+  if (!records.length) return;
+  mkdirSync(registerDir(cwd), { recursive: true });
+  for (const d of records) writeJson(join(registerDir(cwd), `${d.id}.json`), d);
+}
+
+// Time plus random, like entry ids: a sequence number would repeat when two clones add decisions and merge
+function newId(decisions) {
+  let id;
+  do id = `adr-${Date.now()}_${Math.random().toString(36).slice(2, 6)}`; while (decisions.some(d => d.id === id));
+  return id;
+}
+const sameTitle = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/** A new accepted record. Title and reasoning are redacted: the register is committed too. */
+function record(decisions, d, cwd) {
+  const now = new Date().toISOString();
+  const { value: text } = redact({ title: d.title, reasoning: d.reasoning || null }, redactRules(loadConfig(cwd)));
+  return {
+    id: newId(decisions),
+    title: text.title,
+    reasoning: text.reasoning,
+    status: "accepted",
+    supersedes: d.supersedes || null,
+    supersededBy: null,
+    scope: d.scope || "branch",
+    branch: d.branch || null,
+    entryId: d.entryId || null,
+    author: d.author || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/** Add a decision. Returns the existing record when an accepted one with the same title exists. */
+export function addDecision(d, cwd = process.cwd()) {
+  return withLock(cwd, () => {
+    const decisions = loadDecisions(cwd);
+    const dup = decisions.find(x => x.status === "accepted" && sameTitle(x.title, d.title));
+    if (dup) return dup;
+    const rec = record(decisions, d, cwd);
+    saveDecisions([rec], cwd);
+    return rec;
+  });
+}
+
+/** Replace decision `id` with a new one. Returns { old, replacement } or null if id is unknown. */
+export function supersedeDecision(id, d, cwd = process.cwd()) {
+  return withLock(cwd, () => {
+    const decisions = loadDecisions(cwd);
+    const old = decisions.find(x => x.id === id);
+    if (!old) return null;
+    const replacement = record(decisions, {
+      scope: old.scope,
+      ...d,
+      supersedes: old.id,
+    }, cwd);
+    old.status = "superseded";
+    old.supersededBy = replacement.id;
+    old.updatedAt = replacement.createdAt;
+    saveDecisions([old, replacement], cwd);
+    return { old, replacement };
+  });
+}
+
+/** Withdraw a decision without replacing it. Returns the record or null. */
+export function revokeDecision(id, reason = null, cwd = process.cwd()) {
+  return withLock(cwd, () => {
+    const decisions = loadDecisions(cwd);
+    const d = decisions.find(x => x.id === id);
+    if (!d) return null;
+    d.status = "revoked";
+    if (reason) d.revokedReason = reason;
+    d.updatedAt = new Date().toISOString();
+    saveDecisions([d], cwd);
+    return d;
+  });
+}
+
+/** Filter the register. `branch` keeps decisions that apply to that branch. */
+export function listDecisions({ status = null, branch = null } = {}, cwd = process.cwd()) {
+  return loadDecisions(cwd).filter(d =>
+    (!status || d.status === status) &&
+    (!branch || d.scope === "repo" || d.branch === branch));
+}
+
+/**
+ * Register an entry's free-text decisions. Titles already accepted are skipped,
+ * as are titles that were superseded or revoked — restating a reversed decision
+ * in a later save shouldn't quietly bring it back.
+ */
+export function registerEntryDecisions(entry, { scope = "branch" } = {}, cwd = process.cwd()) {
+  return withLock(cwd, () => {
+    const decisions = loadDecisions(cwd);
+    const added = [];
+    for (const title of entry.decisions || []) {
+      if (decisions.some(x => sameTitle(x.title, title))) continue;
+      const rec = record(decisions, { title, scope, branch: entry.branch, entryId: entry.id, author: entry.author }, cwd);
+      decisions.push(rec);
+      added.push(rec);
+    }
+    saveDecisions(added, cwd);
+    return added;
+  });
+}
+
+const standing = (titles = [], all) => {
+  const reversed = all.filter(d => d.status !== "accepted");
+  return titles.filter(t => !reversed.some(d => sameTitle(d.title, t)));
+};
+
+/** An entry's own decisions, minus any the register has superseded or revoked. */
+export const standingDecisions = (entry, cwd = process.cwd()) => standing(entry.decisions, loadDecisions(cwd));
+
+/**
+ * After `from` is merged into `to`, its accepted branch decisions apply to `to`
+ * (with `scope`: repo when `to` is the default branch). Returns the moved records.
+ */
+export function carryDecisions(from, to, scope, cwd = process.cwd()) {
+  return withLock(cwd, () => {
+    const decisions = loadDecisions(cwd);
+    const moved = decisions.filter(d => d.status === "accepted" && d.scope === "branch" && d.branch === from);
+    const now = new Date().toISOString();
+    for (const d of moved) Object.assign(d, { scope, branch: to, mergedFrom: from, updatedAt: now });
+    saveDecisions(moved, cwd);
+    return moved;
+  });
+}
+
+/**
+ * Entry copy whose decisions are the accepted register decisions for its branch
+ * plus whatever it states itself, minus anything superseded or revoked.
+ */
+export function withRegisterDecisions(entry, cwd = process.cwd()) {
+  const all = loadDecisions(cwd);
+  if (!all.length) return entry;
+  const own = standing(entry.decisions, all);
+  const inherited = all
+    .filter(d => d.status === "accepted" && (d.scope === "repo" || d.branch === entry.branch))
+    .map(d => d.title)
+    .filter(t => !own.some(o => sameTitle(o, t)));
+  return { ...entry, decisions: [...own, ...inherited] };
+}
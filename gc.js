@@ -0,0 +1,188 @@
+/**
+ * gc.js — Garbage collection & archiving for entries that fell out of index.json
+ *
+ * saveContext trims each branch index to maxEntriesPerBranch but leaves the
+ * {id}.json files behind. gc moves those orphans into a gzipped JSONL archive
+ * per branch (.devctx/archive/<branch>.jsonl.gz), where they stay searchable
+ * and restorable. Private entries go to .devctx/local/archive/, which is never
+ * committed either. Retention (config.gc or per call):
+ *   maxAgeDays   — also archive indexed entries older than this (latest one is always kept)
+ *   maxArchived  — cap archived entries per branch; the oldest are purged for good
+ */
+
+import { readFileSync, mkdirSync, existsSync, readdirSync, unlinkSync } from "fs";
+import { join, basename, dirname } from "path";
+import { gzipSync, gunzipSync } from "zlib";
+import {
+  scopeDir, scopeOf, branchDir, branchName, loadConfig, touchBranch, readIndex, indexRow, writeAtomic, writeJson, withLock, SCOPES,
+} from "./storage.js";
+
+const ARCHIVE = "archive";
+
+export function archivePath(branch, cwd = process.cwd(), scope = "shared") {
+  return join(scopeDir(scope, cwd), ARCHIVE, `${basename(branchDir(branch, cwd))}.jsonl.gz`);
+}
+
+/** Every archive file, shared and private. */
+export function archiveFiles(cwd = process.cwd()) {
+  return SCOPES.flatMap(s => {
+    const dir = join(scopeDir(s, cwd), ARCHIVE);
+    return existsSync(dir) ? readdirSync(dir).filter(f => f.endsWith(".jsonl.gz")).map(f => join(dir, f)) : [];
+  });
+}
+
+export function readJsonl(p) {
+  if (!existsSync(p)) return [];
+  return gunzipSync(readFileSync(p)).toString("utf8")
+    .split("\n").filter(Boolean).map(l => JSON.parse(l));
+}
+
+export function writeJsonl(p, entries) {
+  if (!entries.length) { if (existsSync(p)) unlinkSync(p); return; }
+  mkdirSync(dirname(p), { recursive: true });
+  writeAtomic(p, gzipSync(entries.map(e => JSON.stringify(e)).join("\n") + "\n"));
+}
+
+/** Archived entries for one branch, private ones included, newest first. */
+export function loadArchive(branch, cwd = process.cwd()) {
+  return SCOPES.flatMap(s => readJsonl(archivePath(branch, cwd, s)))
+    .sort((a, b) => (b.timestamp || "").localeCompare(a.timestamp || ""));
+}
+
+/** Archived entries for every branch (or one). */
+export function loadAllArchived(branch = null, cwd = process.cwd()) {
+  if (branch) return loadArchive(branch, cwd);
+  return archiveFiles(cwd).flatMap(readJsonl);
+}
+
+/**
+ * Find entry files that index.json no longer lists, plus entries past maxAgeDays.
+ * Returns [{ branch, dir, scope, ids, expired }] — one row per branch directory with work to do.
+ */
+export function findOrphans({ branch = null, maxAgeDays = null } = {}, cwd = process.cwd()) {
+  const dirs = SCOPES.flatMap(scope => {
+    const base = join(scopeDir(scope, cwd), "branches");
+    if (branch) return [{ dir: branchDir(branch, cwd, scope), scope }];
+    return existsSync(base) ? readdirSync(base).map(d => ({ dir: join(base, d), scope })) : [];
+  });
+  const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 86_400_000 : null;
+  const out = [];
+
+  for (const { dir, scope } of dirs) {
+    if (!existsSync(dir)) continue;
+    const index = readIndex(dir, cwd);
+    const indexed = new Set(index.entries.map(e => e.id));
+    const ids = readdirSync(dir)
+      .filter(f => f.endsWith(".json") && f !== "index.json")
+      .map(f => f.slice(0, -5))
+      .filter(id => !indexed.has(id));
+
+    // Age-based retention never touches the latest full save (row 0 is often a checkpoint) — resume must keep working
+    const keep = (index.entries.find(e => e.type !== "checkpoint") || index.entries[0])?.id;
+    const expired = cutoff
+      ? index.entries.filter(e => e.id !== keep && Date.parse(e.timestamp) < cutoff).map(e => e.id)
+      : [];
+
+    if (ids.length || expired.length) out.push({ branch: branchName(basename(dir), cwd), dir, scope, ids, expired });
+  }
+  return out;
+}
+
+/**
+ * Archive orphaned (and expired) entries.
+ * @param {{ branch?: string|null, dryRun?: boolean, maxAgeDays?: number|null, maxArchived?: number|null }} opts
+ */
+export function collectGarbage(opts = {}, cwd = process.cwd()) {
+  return withLock(cwd, () => archiveOrphans(opts, cwd));
+}
+
+function archiveOrphans(opts, cwd) {
+  const cfg = loadConfig(cwd)?.gc || {};
+  const dryRun = !!opts.dryRun;
+  const maxAgeDays = opts.maxAgeDays ?? cfg.maxAgeDays ?? null;
+  const maxArchived = opts.maxArchived ?? cfg.maxArchived ?? null;
+  const report = { dryRun, archived: 0, purged: 0, branches: [] };
+
+  for (const { branch, dir, scope, ids, expired } of findOrphans({ branch: opts.branch, maxAgeDays }, cwd)) {
+    const moving = [...ids, ...expired];
+    const p = join(scopeDir(scope, cwd), ARCHIVE, `${basename(dir)}.jsonl.gz`);
+    const existing = readJsonl(p);
+    const have = new Set(existing.map(e => e.id));
+
+    const incoming = [];
+    for (const id of moving) {
+      const f = join(dir, `${id}.json`);
+      if (!existsSync(f)) continue;
+      try {
+        const entry = JSON.parse(readFileSync(f, "utf8"));
+        if (!have.has(entry.id)) incoming.push(entry);
+      } catch { /* unreadable entry — leave it for `devctx validate` */ }
+    }
+
+    let archive = [...existing, ...incoming]
+      .sort((a, b) => (b.timestamp || "").localeCompare(a.timestamp || ""));
+    const purged = maxArchived != null ? archive.slice(maxArchived) : [];
+    if (purged.length) archive = archive.slice(0, maxArchived);
+
+    report.branches.push({
+      branch,
+      ...(scope === "private" ? { scope } : {}),
+      orphaned: ids.length,
+      expired: expired.length,
+      purged: purged.map(e => e.id),
+      ids: moving,
+    });
+    report.archived += moving.length;
+    report.purged += purged.length;
+    if (dryRun) continue;
+
+    writeJsonl(p, archive);
+    for (const id of moving) {
+      const f = join(dir, `${id}.json`);
+      if (existsSync(f)) unlinkSync(f);
+    }
+    if (expired.length) {
+      const index = readIndex(dir, cwd);
+      const gone = new Set(expired);
+      index.entries = index.entries.filter(e => !gone.has(e.id));
+      writeJson(join(dir, "index.json"), index);
+    }
+  }
+  return report;
+}
+
+/**
+ * Move an archived entry back into its branch and index.
+ * Searches every archive when branch is omitted. Returns the entry, or null.
+ */
+export function restoreEntry(id, branch = null, cwd = process.cwd()) {
+  return withLock(cwd, () => unarchive(id, branch, cwd));
+}
+
+function unarchive(id, branch, cwd) {
+  const files = branch ? SCOPES.map(s => archivePath(branch, cwd, s)) : archiveFiles(cwd);
+
+  for (const p of files) {
+    const archive = readJsonl(p);
+    const entry = archive.find(e => e.id === id);
+    if (!entry) continue;
+
+    const scope = scopeOf(entry);
+    const target = branchDir(entry.branch || branch || "main", cwd, scope);
+    mkdirSync(target, { recursive: true });
+    writeJson(join(target, `${id}.json`), entry);
+
+    // Slot into the index by timestamp. No trim here — if it is older than the
+    // newest maxEntriesPerBranch it drops out again on the next save.
+    const index = readIndex(target, cwd);
+    index.entries = index.entries.filter(e => e.id !== id);
+    index.entries.push(indexRow(entry));
+    index.entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    writeJson(join(target, "index.json"), index);
+    if (scope === "shared") touchBranch(entry.branch || branch || "main", cwd, entry.timestamp);
+
+    writeJsonl(p, archive.filter(e => e.id !== id));
+    return entry;
+  }
+  return null;
+}
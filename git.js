@@ -1,16 +1,31 @@
 /**
  * git.js — Minimal git read helpers. All read-only except stageDevctx.
  */
-import { execSync } from "child_process";
+import { execSync, execFileSync } from "child_process";
+import { resolve } from "path";
 
 function git(args, cwd = process.cwd()) {
   try { return execSync(`git ${args}`, { cwd, stdio: ["ignore","pipe","pipe"], encoding: "utf8" }).trim(); }
   catch { return null; }
 }
 
+/** git() without a shell, for arguments built from branch names. */
+function gitArgs(argv, cwd = process.cwd()) {
+  try { return execFileSync("git", argv, { cwd, stdio: ["ignore","pipe","pipe"], encoding: "utf8" }).trim(); }
+  catch { return null; }
+}
+
 export const getCurrentBranch = (cwd) => git("rev-parse --abbrev-ref HEAD", cwd) || "main";
+export const getDefaultBranch = (cwd) => {
+  const head = git("symbolic-ref --short refs/remotes/origin/HEAD", cwd);
+  if (head) return head.replace(/^origin\//, "");
+  for (const b of ["main", "master"]) if (git(`rev-parse --verify --quiet refs/heads/${b}`, cwd)) return b;
+  return "main";
+};
 export const getLatestCommit  = (cwd) => git("rev-parse HEAD", cwd);
 export const isGitRepo        = (cwd) => git("rev-parse --git-dir", cwd) !== null;
+export const getRepoRoot      = (cwd) => git("rev-parse --show-toplevel", cwd);
+export const getGitDir        = (cwd) => git("rev-parse --absolute-git-dir", cwd);
 export const getRemoteUrl     = (cwd) => git("remote get-url origin", cwd);
 export const getGitUser       = (cwd) => {
   const name = git("config user.name", cwd);
@@ -26,6 +41,41 @@ export const getChangedFiles = (n = 10, cwd) =>
 export const getDiffStat = (since = null, cwd) =>
   git(since ? `diff --stat ${since}..HEAD` : "diff --stat HEAD", cwd) || "No changes.";
 
+export const getHooksDir = (cwd) => {
+  const p = git("rev-parse --git-path hooks", cwd);
+  return p ? resolve(cwd || process.cwd(), p) : null;
+};
+
+export const getCommitSubject = (ref = "HEAD", cwd) => git(`log -1 --format=%s ${ref}`, cwd);
+
+export const getCommitFiles = (ref = "HEAD", cwd) =>
+  (git(`show --name-only --pretty=format: ${ref}`, cwd) || "").split("\n").map(l => l.trim()).filter(Boolean);
+
+/** Commits on HEAD after `since`. null when `since` isn't an ancestor we know about. */
+export const countCommitsSince = (since, cwd) => {
+  const n = git(`rev-list --count ${since}..HEAD`, cwd);
+  return n === null ? null : parseInt(n);
+};
+
+export const branchExists = (branch, cwd) => getBranchTip(branch, cwd) !== null;
+export const getMergeBase = (a, b, cwd) => gitArgs(["merge-base", `refs/heads/${a}`, `refs/heads/${b}`], cwd);
+
+/** Commits on `branch` after `commit`. */
+export const countCommitsOn = (commit, branch, cwd) => {
+  const n = gitArgs(["rev-list", "--count", `${commit}..refs/heads/${branch}`], cwd);
+  return n === null ? null : parseInt(n);
+};
+
+export const getBranchTip = (branch, cwd) => gitArgs(["rev-parse", "--verify", "--quiet", `refs/heads/${branch}`], cwd);
+
+/** The merged-in parent of HEAD, or null when HEAD is not a merge commit. */
+export const getMergedParent = (cwd) => git("rev-parse --verify --quiet HEAD^2", cwd);
+
+export const countCommitsAfter = (isoDate, cwd) => {
+  const n = git(`rev-list --count --since="${isoDate}" HEAD`, cwd);
+  return n === null ? null : parseInt(n);
+};
+
 export const stageDevctx = (cwd) => {
   try { execSync("git add .devctx/", { cwd, stdio: "ignore" }); return true; }
   catch { return false; }
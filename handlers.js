@@ -6,9 +6,16 @@ import {
   loadLatest,
   loadById,
   listEntries,
+  listBranches,
   isInitialized,
   loadConfig,
   saveConfig,
+  updateContext,
+  markResumed,
+  withLastResumed,
+  promoteEntry,
+  scopeOf,
+  loadManifest,
 } from "./storage.js";
 import {
   getCurrentBranch,
@@ -18,6 +25,7 @@ import {
   getChangedFiles,
   getRecentCommits,
   getDiffStat,
+  getDefaultBranch,
   stageDevctx,
 } from "./git.js";
 import {
@@ -27,8 +35,29 @@ import {
   buildHandoff,
   buildSummarizePrompt,
   buildSuggestPrompt,
+  changesSinceResume,
 } from "./prompts.js";
-// import { countEntryTokens, TIER } from "./tokens.js"; // Not used in handlers currently but index had it
+import { searchEntries } from "./search.js";
+import { mergeBranch } from "./merge.js";
+import { ensureMigrated } from "./migrate.js";
+import { redact, redactRules } from "./redact.js";
+import { keyProblem, lockedMessage } from "./crypt.js";
+import { TOOL_ARGS, Config, UserConfig, toolInputSchema, check, formatIssues } from "./schemas.js";
+import { complete } from "./ai.js";
+import { readUserJson, writeUserJson } from "./userdir.js";
+import { repoOf } from "./workspace.js";
+import { collectGarbage, restoreEntry } from "./gc.js";
+import { countTokens, useConfig } from "./tokens.js";
+import { findStep, stepProgress, STEP_STATUS } from "./steps.js";
+import {
+  addDecision,
+  supersedeDecision,
+  revokeDecision,
+  listDecisions,
+  registerEntryDecisions,
+  withRegisterDecisions,
+  DECISION_STATUS,
+} from "./decisions.js";
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -37,24 +66,39 @@ function ok(data) {
   return { content: [{ type: "text", text: JSON.stringify(data) }] };
 }
 
-async function callAI(prompt, apiKey, baseUrl = "https://api.openai.com/v1") {
-  const key = apiKey || process.env.DEVCTX_AI_KEY;
-  if (!key) throw new Error("No AI key. Set DEVCTX_AI_KEY or pass aiApiKey.");
-  const r = await fetch(`${baseUrl}/chat/completions`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${key}`,
-    },
-    body: JSON.stringify({
-      model: "gpt-4o-mini",
-      messages: [{ role: "user", content: prompt }],
-      temperature: 0.2,
-    }),
-  });
-  if (!r.ok) throw new Error(`AI error: ${r.status}`);
-  const d = await r.json();
-  return d.choices[0].message.content.replace(/```json|```/g, "").trim();
+// Results that are a config file's contents: a `repo` key there would read as a setting
+const UNSTAMPED = new Set(["devctx_config_list"]);
+
+/** Stamp a tool result with the repo it acted on. */
+function withRepo(result, repo) {
+  return ok({ ...JSON.parse(result.content[0].text), repo });
+}
+
+/** Repo for a request: the session's workspace resolver when there is one (see workspace.js), upgraded on first use. */
+async function resolveCwd(args, workspace) {
+  const cwd = workspace ? await workspace.resolve(args) : repoOf(args.cwd || process.cwd());
+  ensureMigrated(cwd);
+  return cwd;
+}
+
+/** { redacted: [{ field, detector }] } for secrets cut from `entry` by this write (not by an earlier one). */
+function redactionsOf(entry, before = null) {
+  const old = new Set((before?.meta?.redacted || []).map(f => `${f.field}|${f.detector}`));
+  const fresh = (entry.meta?.redacted || []).filter(f => !old.has(`${f.field}|${f.detector}`));
+  return fresh.length ? { redacted: fresh } : {};
+}
+
+/** InvalidParams carrying field-level issues ([{ path, message }]) in its data. */
+function invalidParams(msg, issues) {
+  return new McpError(ErrorCode.InvalidParams, `${msg}: ${formatIssues(issues)}`, { issues });
+}
+
+/** Entries whose decisions may join the register, which is committed in the clear. */
+const registrable = (entry) => scopeOf(entry) === "shared" && !entry.encrypted;
+
+/** Decisions made on the default branch apply repo-wide. */
+function decisionScope(branch, cwd) {
+  return branch === getDefaultBranch(cwd) ? "repo" : "branch";
 }
 
 // ─── Tool Handlers ────────────────────────────────────────────────────────────
@@ -72,6 +116,7 @@ async function handleInit({ cwd: rawCwd }) {
 async function handleSave(args) {
   const cwd = args.cwd || process.cwd();
   if (!isInitialized(cwd)) initRepo(cwd);
+  if (args.encrypt && keyProblem(loadConfig(cwd))) return ok({ ok: false, msg: keyProblem(loadConfig(cwd)) });
 
   const branch = getCurrentBranch(cwd);
   const entry = saveContext(
@@ -84,58 +129,173 @@ async function handleSave(args) {
       decisions: args.decisions || [],
       nextSteps: args.nextSteps || [],
       constraints: args.constraints || [],
+      pinned: args.pinned || [],
       filesChanged: args.filesChanged || getChangedFiles(5, cwd),
       author: getGitUser(cwd)?.name || null,
       meta: { commitHash: getLatestCommit(cwd) },
+      scope: args.scope,
+      encrypt: args.encrypt,
     },
     cwd,
   );
 
+  // Private decisions join the register when the entry is promoted; encrypted ones never do
+  const registered = !registrable(entry) ? [] : registerEntryDecisions(
+    entry,
+    { scope: decisionScope(branch, cwd) },
+    cwd,
+  );
+
   return ok({
     id: entry.id,
     branch,
+    ...(args.scope === "private" ? { scope: "private" } : {}),
+    ...(entry.encrypted ? { encrypted: true } : {}),
     tokens: entry.tokenCount,
     task: entry.task,
+    steps: stepProgress(entry.nextSteps),
+    ...(registered.length ? { decisionsRegistered: registered.map(d => d.id) } : {}),
+    ...redactionsOf(entry),
   });
 }
 
-async function handleResume(args) {
+const BUILDERS = {
+  minimal: buildMinimal,
+  standard: buildStandard,
+  full: buildFull,
+};
+
+async function handleResume(args, { readOnly = false } = {}) {
   const cwd = args.cwd || process.cwd();
   const branch = args.branch || getCurrentBranch(cwd);
-  const entry = args.id
+  const loaded = args.id
     ? loadById(args.id, branch, cwd)
-    : loadLatest(branch, cwd);
+    : loadLatest(branch, cwd, { inherit: true });
 
-  if (!entry)
+  if (!loaded)
     return ok({
       found: false,
       msg: `No context for branch '${branch}'. Run devctx_save first.`,
     });
+  if (loaded.locked) return ok({ found: false, msg: lockedMessage(loaded) });
+  const entry = withLastResumed(loaded, cwd);
 
   const tier = args.tier || "standard";
-  const builders = {
-    minimal: buildMinimal,
-    standard: buildStandard,
-    full: buildFull,
-  };
-  const build = builders[tier] || buildStandard;
-  const prompt = build(entry, args.focus || null);
+  const build = BUILDERS[tier] || buildStandard;
+  const prompt = build(withRegisterDecisions(entry, cwd), args.focus || null);
+  const changed = changesSinceResume(entry);
+  if (!readOnly && !entry.inherited) markResumed(entry, cwd);
 
   return ok({
     found: true,
-    branch: entry.branch,
+    branch: entry.inherited ? branch : entry.branch,
+    ...(entry.inherited ? { inheritedFrom: entry.branch, via: entry.inherited.via } : {}),
     task: entry.task,
     savedAt: entry.timestamp?.slice(0, 16),
     tier,
-    promptTokens: Math.ceil(prompt.length / 4),
+    ...(changed.length ? { changedSinceResume: changed } : {}),
+    promptTokens: countTokens(prompt),
     prompt,
   });
 }
 
+async function handleUpdate(args) {
+  const cwd = args.cwd || process.cwd();
+  const branch = args.branch || getCurrentBranch(cwd);
+  const id = args.id || loadLatest(branch, cwd)?.id;
+  if (!id)
+    return ok({
+      ok: false,
+      msg: `No context for branch '${branch}'. Run devctx_save first.`,
+    });
+
+  const before = loadById(id, branch, cwd);
+  if (before?.locked) return ok({ ok: false, msg: lockedMessage(before) });
+  const entry = updateContext(
+    id,
+    branch,
+    {
+      task: args.task,
+      goal: args.goal,
+      state: args.state,
+      addDecisions: args.addDecisions,
+      addNextSteps: args.addNextSteps,
+      removeNextSteps: args.removeNextSteps,
+      addConstraints: args.addConstraints,
+      failApproaches: args.failApproaches,
+      author: getGitUser(cwd)?.name || null,
+    },
+    cwd,
+  );
+  if (!entry) return ok({ ok: false, msg: `No entry '${id}' on '${branch}'.` });
+  if (args.addDecisions?.length && registrable(entry)) {
+    registerEntryDecisions(
+      { ...entry, decisions: args.addDecisions },
+      { scope: decisionScope(entry.branch, cwd) },
+      cwd,
+    );
+  }
+
+  const revision = entry.revisions?.length > (before?.revisions?.length || 0)
+    ? entry.revisions.at(-1)
+    : null;
+  return ok({
+    ok: true,
+    id: entry.id,
+    branch: entry.branch,
+    tokens: entry.tokenCount,
+    revisions: entry.revisions?.length || 0,
+    changes: revision?.changes || {},
+    ...redactionsOf(entry, before),
+  });
+}
+
+async function handleStep(args) {
+  const cwd = args.cwd || process.cwd();
+  const branch = args.branch || getCurrentBranch(cwd);
+  const id = args.id || loadLatest(branch, cwd)?.id;
+  if (!id)
+    return ok({
+      ok: false,
+      msg: `No context for branch '${branch}'. Run devctx_save first.`,
+    });
+
+  const entry = updateContext(
+    id,
+    branch,
+    {
+      setSteps: [{ step: args.step, status: args.status, commit: args.commit }],
+      author: getGitUser(cwd)?.name || null,
+    },
+    cwd,
+  );
+  const step = entry && findStep(entry.nextSteps, args.step);
+  if (!step) return ok({ ok: false, msg: `No step '${args.step}' in entry '${id}'.` });
+  return ok({ ok: true, id: entry.id, step, progress: stepProgress(entry.nextSteps) });
+}
+
 async function handleLog(args) {
   const cwd = args.cwd || process.cwd();
   const entries = listEntries(args.branch || null, args.limit || 10, cwd);
-  return ok({ count: entries.length, entries });
+  const manifest = loadManifest(cwd);
+  const merged = [...new Set(entries.map(e => e.branch))]
+    .filter(b => manifest[b]?.merged)
+    .map(b => ({ branch: b, ...manifest[b].merged }));
+  return ok({ count: entries.length, entries, ...(merged.length ? { merged } : {}) });
+}
+
+async function handleSearch(args) {
+  const cwd = args.cwd || process.cwd();
+  const results = searchEntries(
+    args.query,
+    {
+      branch: args.branch || null,
+      limit: args.limit || 10,
+      archived: !!args.archived,
+    },
+    cwd,
+  );
+  return ok({ query: args.query, count: results.length, results });
 }
 
 async function handleDiff(args) {
@@ -151,6 +311,7 @@ async function handleHandoff(args) {
   const cwd = args.cwd || process.cwd();
   const branch = getCurrentBranch(cwd);
   const fromUser = getGitUser(cwd)?.name || "unknown";
+  if (args.encrypt && keyProblem(loadConfig(cwd))) return ok({ ok: false, msg: keyProblem(loadConfig(cwd)) });
 
   const entry = saveContext(
     {
@@ -163,16 +324,20 @@ async function handleHandoff(args) {
       nextSteps: args.nextSteps || [],
       author: fromUser,
       meta: { type: "handoff", to: args.to },
+      encrypt: args.encrypt,
     },
     cwd,
   );
 
-  const prompt = buildHandoff(entry, fromUser, args.to);
+  if (registrable(entry)) registerEntryDecisions(entry, { scope: decisionScope(branch, cwd) }, cwd);
+  const prompt = buildHandoff(withRegisterDecisions(entry, cwd), fromUser, args.to);
   return ok({
     id: entry.id,
     to: args.to,
-    promptTokens: Math.ceil(prompt.length / 4),
+    ...(entry.encrypted ? { encrypted: true } : {}),
+    promptTokens: countTokens(prompt),
     prompt,
+    ...redactionsOf(entry),
   });
 }
 
@@ -188,119 +353,384 @@ async function handleShare(args) {
   });
 }
 
-async function handleSummarize(args) {
+/** Which model answered (via sampling | http, provider, model), whether it needed a repair, and any sampling failure. */
+const aiSource = ({ data: _data, ...source }) => source;
+
+const SUMMARY_FIELDS = ["task", "goal", "state", "decisions", "nextSteps", "filesChanged"];
+
+async function handleSummarize(args, { sample = null } = {}) {
   const cwd = args.cwd || process.cwd();
   const commits = getRecentCommits(args.n || 8, cwd);
   const files = getChangedFiles(args.n || 8, cwd);
   const diffStat = getDiffStat(null, cwd);
 
   const prompt = buildSummarizePrompt({ commits, files, diffStat });
-  let parsed;
+  let ai;
   try {
-    parsed = JSON.parse(await callAI(prompt, args.aiApiKey, args.aiBaseUrl));
+    ai = await complete(prompt, { sample, shape: "summary", apiKey: args.aiApiKey, baseUrl: args.aiBaseUrl, cwd });
   } catch (e) {
     return ok({ ok: false, msg: e.message });
   }
+  // Only the fields the prompt asks for, checked like devctx_save input: a reply can't set scope, encrypt, meta and the like
+  const picked = Object.fromEntries(SUMMARY_FIELDS.filter(k => ai.data[k] != null).map(k => [k, ai.data[k]]));
+  const valid = check(TOOL_ARGS.devctx_save, picked);
+  if (valid.issues) return ok({ ok: false, msg: `Model summary is not a valid entry: ${formatIssues(valid.issues)}`, issues: valid.issues });
+  const parsed = Object.fromEntries(SUMMARY_FIELDS.filter(k => valid.data[k] !== undefined).map(k => [k, valid.data[k]]));
 
   const entry = saveContext({ ...parsed, branch: getCurrentBranch(cwd) }, cwd);
   return ok({
     ok: true,
     id: entry.id,
     tokens: entry.tokenCount,
-    summary: parsed,
+    summary: redact(parsed, redactRules(loadConfig(cwd))).value,
+    ...aiSource(ai),
+    ...redactionsOf(entry),
   });
 }
 
-async function handleSuggest(args) {
+async function handleSuggest(args, { sample = null } = {}) {
   const cwd = args.cwd || process.cwd();
   const branch = getCurrentBranch(cwd);
-  const entry = loadLatest(branch, cwd);
+  const entry = loadLatest(branch, cwd, { inherit: true });
   if (!entry)
     return ok({ ok: false, msg: "No context found. Run devctx_save first." });
+  if (entry.locked) return ok({ ok: false, msg: lockedMessage(entry) });
 
   const prompt = buildSuggestPrompt(entry);
-  let parsed;
+  let ai;
   try {
-    parsed = JSON.parse(await callAI(prompt, args.aiApiKey, args.aiBaseUrl));
+    ai = await complete(prompt, { sample, shape: "suggestions", apiKey: args.aiApiKey, baseUrl: args.aiBaseUrl, cwd });
   } catch (e) {
     return ok({ ok: false, msg: e.message });
   }
   return ok({
     ok: true,
     task: entry.task,
-    suggestions: parsed.nextSteps || parsed,
+    suggestions: ai.data.nextSteps || ai.data,
+    ...aiSource(ai),
+  });
+}
+
+async function handleGc(args) {
+  const cwd = args.cwd || process.cwd();
+  if (!isInitialized(cwd)) return ok({ ok: false, msg: "Not initialized." });
+  const report = collectGarbage(
+    {
+      branch: args.branch || null,
+      dryRun: !!args.dryRun,
+      maxAgeDays: args.maxAgeDays ?? null,
+      maxArchived: args.maxArchived ?? null,
+    },
+    cwd,
+  );
+  return ok({ ok: true, ...report });
+}
+
+async function handleRestore(args) {
+  const cwd = args.cwd || process.cwd();
+  const entry = restoreEntry(args.id, args.branch || null, cwd);
+  if (!entry) return ok({ ok: false, msg: `No archived entry '${args.id}'.` });
+  return ok({ ok: true, id: entry.id, branch: entry.branch, task: entry.task });
+}
+
+async function handlePromote(args) {
+  const cwd = args.cwd || process.cwd();
+  const entry = promoteEntry(args.id, args.branch || null, cwd);
+  if (!entry) return ok({ ok: false, msg: `No private entry '${args.id}'.` });
+  const registered = registrable(entry) ? registerEntryDecisions(entry, { scope: decisionScope(entry.branch, cwd) }, cwd) : [];
+  return ok({
+    ok: true,
+    id: entry.id,
+    branch: entry.branch,
+    task: entry.task,
+    ...(registered.length ? { decisionsRegistered: registered.map(d => d.id) } : {}),
+  });
+}
+
+async function handleMerge(args) {
+  const cwd = args.cwd || process.cwd();
+  if (!isInitialized(cwd)) return ok({ ok: false, msg: "Not initialized." });
+  const target = args.target || getCurrentBranch(cwd);
+  if (args.source === target) return ok({ ok: false, msg: `Can't merge '${target}' into itself.` });
+  const commit = args.commit || getLatestCommit(cwd);
+  if (args.encrypt && keyProblem(loadConfig(cwd))) return ok({ ok: false, msg: keyProblem(loadConfig(cwd)) });
+  let r;
+  try {
+    r = mergeBranch({ source: args.source, target, commit, author: getGitUser(cwd)?.name || null, encrypt: args.encrypt }, cwd);
+  } catch (e) {
+    return ok({ ok: false, msg: e.message });
+  }
+  if (!r) return ok({ ok: false, msg: `No shared context for branch '${args.source}'.` });
+  if (r.already) return ok({ ok: false, msg: `'${args.source}' is already marked merged into ${target} at ${r.already.commit?.slice(0, 8)}.` });
+  return ok({
+    ok: true,
+    id: r.entry.id,
+    source: args.source,
+    target,
+    commit,
+    basedOn: r.source.id,
+    decisions: r.entry.decisions.length,
+    constraints: r.entry.constraints.length,
+    failedApproaches: r.entry.approaches.length,
+    openSteps: r.entry.nextSteps.length,
+    ...(r.entry.encrypted ? { encrypted: true } : {}),
+    ...(r.unreadable.length ? { unreadable: r.unreadable } : {}),
+    ...(r.carried.length ? { decisionsCarried: r.carried.map(d => d.id) } : {}),
+    ...redactionsOf(r.entry),
   });
 }
 
+async function handleDecisionAdd(args) {
+  const cwd = args.cwd || process.cwd();
+  const branch = getCurrentBranch(cwd);
+  const d = addDecision(
+    {
+      title: args.title,
+      reasoning: args.reasoning || null,
+      scope: args.scope || decisionScope(branch, cwd),
+      branch,
+      entryId: loadLatest(branch, cwd, { scope: "shared" })?.id || null,
+      author: getGitUser(cwd)?.name || null,
+    },
+    cwd,
+  );
+  return ok({ ok: true, decision: d });
+}
+
+async function handleDecisionSupersede(args) {
+  const cwd = args.cwd || process.cwd();
+  const branch = getCurrentBranch(cwd);
+  const r = supersedeDecision(
+    args.id,
+    {
+      title: args.title,
+      reasoning: args.reasoning || null,
+      ...(args.scope ? { scope: args.scope } : {}),
+      branch,
+      entryId: loadLatest(branch, cwd, { scope: "shared" })?.id || null,
+      author: getGitUser(cwd)?.name || null,
+    },
+    cwd,
+  );
+  if (!r) return ok({ ok: false, msg: `No decision '${args.id}'.` });
+  return ok({ ok: true, superseded: r.old.id, decision: r.replacement });
+}
+
+async function handleDecisionRevoke(args) {
+  const cwd = args.cwd || process.cwd();
+  const d = revokeDecision(args.id, args.reason || null, cwd);
+  if (!d) return ok({ ok: false, msg: `No decision '${args.id}'.` });
+  return ok({ ok: true, decision: d });
+}
+
+async function handleDecisionList(args) {
+  const cwd = args.cwd || process.cwd();
+  const decisions = listDecisions(
+    { status: args.status || null, branch: args.branch || null },
+    cwd,
+  );
+  return ok({ count: decisions.length, decisions });
+}
+
+/** Set `a.b.c` inside a config object, creating parents. */
+function setPath(cfg, key, value) {
+  const parts = key.split(".");
+  let o = cfg;
+  for (const k of parts.slice(0, -1)) o = o[k] = typeof o[k] === "object" && o[k] ? o[k] : {};
+  o[parts.at(-1)] = value;
+}
+
 async function handleConfigSet(args) {
   const cwd = args.cwd || process.cwd();
+  if (args.user) {
+    const cfg = readUserJson("config.json") || {};
+    setPath(cfg, args.key, args.value);
+    const valid = check(UserConfig, cfg);
+    if (valid.issues) throw invalidParams(`Invalid value for ${args.key}`, valid.issues);
+    writeUserJson("config.json", cfg);
+    return ok({ ok: true, key: args.key, value: args.value, scope: "user" });
+  }
   if (!isInitialized(cwd)) return ok({ ok: false, msg: "Not initialized." });
+  if (/(api_?key|secret|password)$|(^|\.)token$/i.test(args.key))
+    return ok({ ok: false, msg: `'${args.key}' looks like a secret and .devctx/config.json is committed. Use user: true (devctx config set --user) or an env var.` });
   const cfg = loadConfig(cwd);
-  cfg[args.key] = args.value;
+  setPath(cfg, args.key, args.value);
+  const valid = check(Config, cfg);
+  if (valid.issues) throw invalidParams(`Invalid value for ${args.key}`, valid.issues);
   saveConfig(cfg, cwd);
   return ok({ ok: true, key: args.key, value: args.value });
 }
 
 async function handleConfigList(args) {
   const cwd = args.cwd || process.cwd();
+  if (args.user) return ok(readUserJson("config.json") || {});
   const cfg = loadConfig(cwd);
   return ok(cfg || { error: "Not initialized." });
 }
 
+// ─── Resources ────────────────────────────────────────────────────────────────
+
+/** devctx://branch/{branch}[/entry/{id} | /log] → { branch, id, log }, or null for other URIs. */
+export function parseBranchUri(uri) {
+  const m = /^devctx:\/\/branch\/([^/]+)(?:\/(log)|\/entry\/([^/]+))?$/.exec(uri);
+  if (!m) return null;
+  return { branch: decodeURIComponent(m[1]), log: !!m[2], id: m[3] ? decodeURIComponent(m[3]) : null };
+}
+
+function resourceText(uri, cwd) {
+  const fixed = { "devctx://context": buildMinimal, "devctx://context/standard": buildStandard, "devctx://context/full": buildFull };
+  const target = parseBranchUri(uri);
+  if (!fixed[uri] && !target) throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+
+  const branch = target?.branch || getCurrentBranch(cwd);
+  if (target?.log) {
+    const rows = listEntries(branch, 20, cwd);
+    if (!rows.length) return `No context for branch '${branch}'.`;
+    return rows.map(e => {
+      const s = e.steps;
+      const progress = s?.total ? `  ${s.done}/${s.total - s.dropped} steps done` : "";
+      return `${e.id}  ${e.timestamp?.slice(0, 16).replace("T", " ")}  ${e.task}${e.type ? `  (${e.type})` : ""}${progress}`;
+    }).join("\n");
+  }
+
+  const entry = target?.id ? loadById(target.id, branch, cwd) : loadLatest(branch, cwd, { inherit: true });
+  if (!entry) return target?.id
+    ? `No entry '${target.id}' on branch '${branch}'.`
+    : `No context for branch '${branch}'. Run devctx_save.`;
+  if (entry.locked) return lockedMessage(entry);
+
+  // A single entry is shown in full; a branch view like the standard resource
+  const build = fixed[uri] || (target.id ? buildFull : buildStandard);
+  return build(withRegisterDecisions(withLastResumed(entry, cwd), cwd));
+}
+
+// ─── Prompts ──────────────────────────────────────────────────────────────────
+
+/** resume / focus / handoff — rendered from the branch's latest entry (or `id`). */
+function entryPromptText(name, args, { readOnly }, cwd) {
+  const branch = args.branch || getCurrentBranch(cwd);
+  const entry = args.id ? loadById(args.id, branch, cwd) : loadLatest(branch, cwd, { inherit: true });
+  if (!entry) return `No devctx context saved for branch '${branch}' yet. Save some with devctx_save.`;
+  if (entry.locked) return lockedMessage(entry);
+
+  const merged = withRegisterDecisions(withLastResumed(entry, cwd), cwd);
+  if (name === "handoff") return buildHandoff(merged, getGitUser(cwd)?.name || "unknown", args.teammate);
+  const build = BUILDERS[args.tier] || buildStandard;
+  if (!readOnly && !entry.inherited) markResumed(entry, cwd);
+  return build(merged, name === "focus" ? args.focus : null);
+}
+
+function summarizePromptText(args, cwd) {
+  const n = parseInt(args.commits) || 8;
+  const git = { commits: getRecentCommits(n, cwd), files: getChangedFiles(n, cwd), diffStat: getDiffStat(null, cwd) };
+  return `${buildSummarizePrompt(git)}\n\nThen save those fields with devctx_save.`;
+}
+
+/** Completion values for a prompt or resource-template argument, filtered by what's typed so far. */
+function completeArgument(name, typed = "", given, cwd) {
+  let values = [];
+  if (name === "branch") values = [...new Set([getCurrentBranch(cwd), ...listBranches(cwd)])];
+  else if (name === "id") values = listEntries(given.branch || getCurrentBranch(cwd), 50, cwd).map(e => e.id);
+  else if (name === "tier") values = Object.keys(BUILDERS);
+  return values.filter(v => v.startsWith(typed));
+}
+
+/** Route a tool call to its handler. */
+async function dispatch(name, args, { readOnly, sample }) {
+  switch (name) {
+    case "devctx_save":
+      return await handleSave(args);
+    case "devctx_resume":
+      return await handleResume(args, { readOnly });
+    case "devctx_update":
+      return await handleUpdate(args);
+    case "devctx_step":
+      return await handleStep(args);
+    case "devctx_log":
+      return await handleLog(args);
+    case "devctx_search":
+      return await handleSearch(args);
+    case "devctx_diff":
+      return await handleDiff(args);
+    case "devctx_handoff":
+      return await handleHandoff(args);
+    case "devctx_share":
+      return await handleShare(args);
+    case "devctx_summarize":
+      return await handleSummarize(args, { sample });
+    case "devctx_suggest":
+      return await handleSuggest(args, { sample });
+    case "devctx_gc":
+      return await handleGc(args);
+    case "devctx_restore":
+      return await handleRestore(args);
+    case "devctx_promote":
+      return await handlePromote(args);
+    case "devctx_merge":
+      return await handleMerge(args);
+    case "devctx_init":
+      return await handleInit(args);
+    case "devctx_decision_add":
+      return await handleDecisionAdd(args);
+    case "devctx_decision_supersede":
+      return await handleDecisionSupersede(args);
+    case "devctx_decision_revoke":
+      return await handleDecisionRevoke(args);
+    case "devctx_decision_list":
+      return await handleDecisionList(args);
+    case "devctx_config_set":
+      return await handleConfigSet(args);
+    case "devctx_config_list":
+      return await handleConfigList(args);
+    default:
+      throw new McpError(ErrorCode.MethodNotFound, `Unknown: ${name}`);
+  }
+}
+
+/** Tools a read-only HTTP token may call. Resume skips its resume marker write there. */
+export const READ_ONLY_TOOLS = ["devctx_resume", "devctx_log", "devctx_search"];
+
 export const handlers = {
-  readResource: async (req) => {
+  readResource: async (req, { workspace = null } = {}) => {
     const { uri } = req.params;
-    const cwd = process.cwd();
-    const branch = getCurrentBranch(cwd);
-    const entry = loadLatest(branch, cwd);
-
-    if (!entry)
-      return {
-        contents: [
-          {
-            uri,
-            mimeType: "text/plain",
-            text: `No context for branch '${branch}'. Run devctx_save.`,
-          },
-        ],
-      };
-
-    let text;
-    if (uri === "devctx://context/full") text = buildFull(entry);
-    else if (uri === "devctx://context/standard") text = buildStandard(entry);
-    else text = buildMinimal(entry);
-
-    return { contents: [{ uri, mimeType: "text/plain", text }] };
+    const cwd = await resolveCwd({}, workspace);
+    useConfig(loadConfig(cwd));
+    return { contents: [{ uri, mimeType: "text/plain", text: resourceText(uri, cwd) }] };
   },
-  callTool: async (req) => {
+  getPrompt: async (req, { readOnly = false, workspace = null } = {}) => {
     const { name, arguments: args = {} } = req.params;
+    const def = promptsList.find(p => p.name === name);
+    if (!def) throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    const missing = def.arguments.find(a => a.required && !args[a.name]);
+    if (missing) throw new McpError(ErrorCode.InvalidParams, `Prompt '${name}' needs '${missing.name}'.`);
+
+    const cwd = await resolveCwd({}, workspace);
+    useConfig(loadConfig(cwd));
+    const text = name === "summarize"
+      ? summarizePromptText(args, cwd)
+      : entryPromptText(name, args, { readOnly }, cwd);
+    return { description: def.title, messages: [{ role: "user", content: { type: "text", text } }] };
+  },
+  complete: async (req, { workspace = null } = {}) => {
+    const { ref, argument, context } = req.params;
+    const cwd = await resolveCwd({}, workspace);
+    const values = ["ref/prompt", "ref/resource"].includes(ref.type)
+      ? completeArgument(argument.name, argument.value, context?.arguments || {}, cwd)
+      : [];
+    return { completion: { values: values.slice(0, 100), total: values.length, hasMore: values.length > 100 } };
+  },
+  callTool: async (req, { readOnly = false, workspace = null, sample = null } = {}) => {
+    const { name, arguments: rawArgs = {} } = req.params;
+    if (!TOOL_ARGS[name]) throw new McpError(ErrorCode.MethodNotFound, `Unknown: ${name}`);
+    if (readOnly && !READ_ONLY_TOOLS.includes(name))
+      throw new McpError(ErrorCode.InvalidRequest, `'${name}' needs a full-access token; this session is read-only.`);
+    const parsed = check(TOOL_ARGS[name], rawArgs);
+    if (parsed.issues) throw invalidParams(`Invalid arguments for ${name}`, parsed.issues);
     try {
-      switch (name) {
-        case "devctx_save":
-          return await handleSave(args);
-        case "devctx_resume":
-          return await handleResume(args);
-        case "devctx_log":
-          return await handleLog(args);
-        case "devctx_diff":
-          return await handleDiff(args);
-        case "devctx_handoff":
-          return await handleHandoff(args);
-        case "devctx_share":
-          return await handleShare(args);
-        case "devctx_summarize":
-          return await handleSummarize(args);
-        case "devctx_suggest":
-          return await handleSuggest(args);
-        case "devctx_init":
-          return await handleInit(args);
-        case "devctx_config_set":
-          return await handleConfigSet(args);
-        case "devctx_config_list":
-          return await handleConfigList(args);
-        default:
-          throw new McpError(ErrorCode.MethodNotFound, `Unknown: ${name}`);
-      }
+      const args = { ...parsed.data, cwd: await resolveCwd(parsed.data, workspace) };
+      useConfig(loadConfig(args.cwd));
+      const result = await dispatch(name, args, { readOnly, sample });
+      return UNSTAMPED.has(name) ? result : withRepo(result, args.cwd);
     } catch (e) {
       if (e instanceof McpError) throw e;
       throw new McpError(ErrorCode.InternalError, e.message);
@@ -308,221 +738,125 @@ export const handlers = {
   },
 };
 
+const tool = (name, description) => ({ name, description, inputSchema: toolInputSchema(name) });
+
 export const toolsList = [
+  tool("devctx_save",
+    "Save AI coding context for current branch. Call at end of session or after key decisions. Token-efficient storage. scope='private' keeps personal scratch notes out of git."),
+  tool("devctx_resume",
+    "Restore context for the current branch (or, when it has none yet, the branch it was cut from). Returns a structured prompt. Use tier='minimal' (~80 tokens) for quick orientation, 'standard' (~250 tokens) for starting a session, 'full' (~600 tokens) for handoffs."),
+  tool("devctx_update",
+    "Amend the latest (or a given) entry instead of saving a new one. Use to add a decision, add/remove next steps, update state or mark an approach failed. Each call is kept as a revision."),
+  tool("devctx_step",
+    "Change a next step's status (open, in-progress, done, dropped). Done and dropped steps stop appearing in resume prompts; open ones carry forward to the next save."),
+  tool("devctx_log",
+    "View context history for repo (all branches or filtered by branch), with next-step progress per entry."),
+  tool("devctx_search",
+    "Full-text search across every saved context entry on every branch. Use to answer 'did we already try X?' before suggesting an approach."),
+  tool("devctx_diff",
+    "Show git changes since last context save. Useful before saving to understand what changed."),
+  tool("devctx_handoff",
+    "Create a teammate handoff. Generates a lean context prompt scoped for the receiving developer."),
+  tool("devctx_share",
+    "Stage .devctx/ folder in git so teammates can pull and access context. Run after devctx_save."),
+  tool("devctx_summarize",
+    "AI-powered: Auto-generate context from recent git commits + diff. Uses your editor's model via MCP sampling when available, else DEVCTX_AI_KEY. Reports which one answered (via)."),
+  tool("devctx_suggest",
+    "AI-powered: Suggest next steps based on current saved context. Uses MCP sampling when available, else DEVCTX_AI_KEY."),
+  tool("devctx_gc",
+    "Archive entry files that fell out of index.json into .devctx/archive/<branch>.jsonl.gz (private ones into .devctx/local/archive/). Use dryRun to see what would move."),
+  tool("devctx_restore",
+    "Move an archived entry back into its branch index."),
+  tool("devctx_promote",
+    "Move a private entry into the shared, committed context so teammates get it. Its decisions join the register."),
+  tool("devctx_merge",
+    "After merging a branch, carry its context into the target: standing decisions, constraints and failed approaches from every readable save, and the still-open steps. Finished steps stay behind. Saves encrypted with a key you don't have are listed as unreadable. The source is marked merged with the merge commit, which devctx_log shows."),
+  tool("devctx_init",
+    "Initialize DevContext in current repo. Creates .devctx/ folder. Auto-called by devctx_save if needed."),
+  tool("devctx_decision_add",
+    "Record a decision in the repo's decision register (.devctx/decisions/). Accepted decisions are included in every resume for the branches they apply to."),
+  tool("devctx_decision_supersede",
+    "Replace an accepted decision with a new one. The old record stays, marked superseded and linked to its replacement."),
+  tool("devctx_decision_revoke",
+    "Withdraw a decision without replacing it."),
+  tool("devctx_decision_list",
+    "List the decision register, optionally by status or branch."),
+  tool("devctx_config_set",
+    "Set a config value (e.g. maxEntriesPerBranch, tokenizer: cl100k | o200k | heuristic, ai.model, ai.temperature, ai.timeoutMs, ai.retries, ai.backoffMs; with user: true also ai.provider: openai | anthropic | ollama, ai.baseUrl, ai.apiKey). Dotted keys set nested values; the result must match the config schema."),
+  tool("devctx_config_list",
+    "View current DevContext configuration."),
+];
+
+export const resourcesList = [
   {
-    name: "devctx_save",
-    description:
-      "Save AI coding context for current branch. Call at end of session or after key decisions. Token-efficient storage.",
-    inputSchema: {
-      type: "object",
-      required: ["task"],
-      properties: {
-        task: {
-          type: "string",
-          description: "What are you working on? One clear sentence.",
-        },
-        goal: {
-          type: "string",
-          description: "Why? What problem does it solve?",
-        },
-        state: {
-          type: "string",
-          description:
-            "Current state — what's done, what's in-progress, what's broken.",
-        },
-        approaches: {
-          type: "array",
-          description:
-            "Approaches tried. IMPORTANT: Mark failed ones with failed:true and reason to prevent AI re-suggesting them.",
-          items: {
-            oneOf: [
-              { type: "string" },
-              {
-                type: "object",
-                required: ["description"],
-                properties: {
-                  description: { type: "string" },
-                  failed: { type: "boolean" },
-                  reason: { type: "string" },
-                },
-              },
-            ],
-          },
-        },
-        decisions: {
-          type: "array",
-          items: { type: "string" },
-          description: "Key decisions made (architectural, tech choices).",
-        },
-        nextSteps: {
-          type: "array",
-          items: { type: "string" },
-          description: "Ordered next actions. Most important first.",
-        },
-        constraints: {
-          type: "array",
-          items: { type: "string" },
-          description: "Hard limits AI must respect in future sessions.",
-        },
-        filesChanged: {
-          type: "array",
-          items: { type: "string" },
-          description: "Key files in scope. Auto-detected from git if omitted.",
-        },
-        cwd: {
-          type: "string",
-          description: "Repo path. Defaults to process.cwd().",
-        },
-      },
-    },
-  },
-  {
-    name: "devctx_resume",
-    description:
-      "Restore context for the current branch. Returns a structured prompt. Use tier='minimal' (~80 tokens) for quick orientation, 'standard' (~250 tokens) for starting a session, 'full' (~600 tokens) for handoffs.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        branch: {
-          type: "string",
-          description: "Branch to restore. Defaults to current branch.",
-        },
-        id: { type: "string", description: "Restore a specific entry by ID." },
-        tier: {
-          type: "string",
-          enum: ["minimal", "standard", "full"],
-          default: "standard",
-          description: "Context detail level. Controls token usage.",
-        },
-        focus: {
-          type: "string",
-          description: "Override the action section with a specific question.",
-        },
-        cwd: { type: "string" },
-      },
-    },
-  },
-  {
-    name: "devctx_log",
-    description:
-      "View context history for repo (all branches or filtered by branch).",
-    inputSchema: {
-      type: "object",
-      properties: {
-        branch: { type: "string" },
-        limit: { type: "number", default: 10 },
-        cwd: { type: "string" },
-      },
-    },
-  },
-  {
-    name: "devctx_diff",
-    description:
-      "Show git changes since last context save. Useful before saving to understand what changed.",
-    inputSchema: {
-      type: "object",
-      properties: { cwd: { type: "string" } },
-    },
-  },
-  {
-    name: "devctx_handoff",
+    uri: "devctx://context",
+    name: "Current Branch Context (Minimal)",
     description:
-      "Create a teammate handoff. Generates a lean context prompt scoped for the receiving developer.",
-    inputSchema: {
-      type: "object",
-      required: ["to", "task"],
-      properties: {
-        to: { type: "string", description: "Teammate name or @username." },
-        task: { type: "string" },
-        goal: { type: "string" },
-        state: { type: "string" },
-        approaches: { type: "array", items: { type: "string" } },
-        decisions: { type: "array", items: { type: "string" } },
-        nextSteps: { type: "array", items: { type: "string" } },
-        cwd: { type: "string" },
-      },
-    },
+      "~80 token context snapshot for current branch. Subscribe for lightweight auto-injection.",
+    mimeType: "text/plain",
   },
   {
-    name: "devctx_share",
-    description:
-      "Stage .devctx/ folder in git so teammates can pull and access context. Run after devctx_save.",
-    inputSchema: { type: "object", properties: { cwd: { type: "string" } } },
+    uri: "devctx://context/standard",
+    name: "Current Branch Context (Standard)",
+    description: "~250 token context. Use at session start.",
+    mimeType: "text/plain",
   },
   {
-    name: "devctx_summarize",
-    description:
-      "AI-powered: Auto-generate context from recent git commits + diff. Requires DEVCTX_AI_KEY env var.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        n: { type: "number", default: 8, description: "Commits to analyze." },
-        aiApiKey: { type: "string" },
-        aiBaseUrl: {
-          type: "string",
-          description: "OpenAI-compatible endpoint. Defaults to OpenAI.",
-        },
-        cwd: { type: "string" },
-      },
-    },
+    uri: "devctx://context/full",
+    name: "Current Branch Context (Full)",
+    description: "~600 token full context. Use for handoffs.",
+    mimeType: "text/plain",
   },
+];
+
+const branchArg = { name: "branch", description: "Branch to load (default: current)" };
+const tierArg = { name: "tier", description: "minimal | standard (default) | full" };
+const idArg = { name: "id", description: "Specific entry id (default: latest)" };
+
+export const promptsList = [
   {
-    name: "devctx_suggest",
-    description:
-      "AI-powered: Suggest next steps based on current saved context. Requires DEVCTX_AI_KEY.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        aiApiKey: { type: "string" },
-        aiBaseUrl: { type: "string" },
-        cwd: { type: "string" },
-      },
-    },
+    name: "resume",
+    title: "devctx: resume",
+    description: "Resume prompt for a branch's saved context. Standard tier unless you pick another.",
+    arguments: [branchArg, tierArg, idArg],
   },
   {
-    name: "devctx_init",
-    description:
-      "Initialize DevContext in current repo. Creates .devctx/ folder. Auto-called by devctx_save if needed.",
-    inputSchema: { type: "object", properties: { cwd: { type: "string" } } },
+    name: "focus",
+    title: "devctx: focus on…",
+    description: "Resume prompt centred on one question or area.",
+    arguments: [{ name: "focus", description: "What to focus on", required: true }, branchArg, tierArg],
   },
   {
-    name: "devctx_config_set",
-    description: "Set a config value (e.g. maxEntriesPerBranch).",
-    inputSchema: {
-      type: "object",
-      required: ["key", "value"],
-      properties: {
-        key: { type: "string" },
-        value: {},
-        cwd: { type: "string" },
-      },
-    },
+    name: "handoff",
+    title: "devctx: handoff to…",
+    description: "Handoff note for a teammate from the saved context. Nothing is saved.",
+    arguments: [{ name: "teammate", description: "Who takes over, e.g. @sam", required: true }, branchArg, idArg],
   },
   {
-    name: "devctx_config_list",
-    description: "View current DevContext configuration.",
-    inputSchema: { type: "object", properties: { cwd: { type: "string" } } },
+    name: "summarize",
+    title: "devctx: summarize recent work",
+    description: "Ask the model to turn recent commits into a context entry and save it.",
+    arguments: [{ name: "commits", description: "How many recent commits to read (default 8)" }],
   },
 ];
 
-export const resourcesList = [
+export const resourceTemplatesList = [
   {
-    uri: "devctx://context",
-    name: "Current Branch Context (Minimal)",
-    description:
-      "~80 token context snapshot for current branch. Subscribe for lightweight auto-injection.",
+    uriTemplate: "devctx://branch/{branch}",
+    name: "Branch Context",
+    description: "Latest context for any branch (~250 tokens). URL-encode '/' in branch names.",
     mimeType: "text/plain",
   },
   {
-    uri: "devctx://context/standard",
-    name: "Current Branch Context (Standard)",
-    description: "~250 token context. Use at session start.",
+    uriTemplate: "devctx://branch/{branch}/entry/{id}",
+    name: "Context Entry",
+    description: "One saved entry in full.",
     mimeType: "text/plain",
   },
   {
-    uri: "devctx://context/full",
-    name: "Current Branch Context (Full)",
-    description: "~600 token full context. Use for handoffs.",
+    uriTemplate: "devctx://branch/{branch}/log",
+    name: "Branch Log",
+    description: "The branch's recent entries, newest first, with step progress.",
     mimeType: "text/plain",
   },
 ];
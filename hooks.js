@@ -0,0 +1,171 @@
+/**
+ * hooks.js — Git hooks for automatic checkpoints and branch-switch context
+ *
+ *   post-checkout  print the minimal resume prompt for the branch just checked out
+ *   post-commit    save a lightweight checkpoint (meta.type "checkpoint": commit + files)
+ *   post-merge     carry the merged branch's context into this one (see merge.js)
+ *
+ * Hooks that write keep to .devctx/local/, which is never committed: a file
+ * changed by post-commit or post-merge would leave the tree dirty after every
+ * commit (and committing it would fire the hook again).
+ *   pre-push       warn when the branch has commits newer than its latest context
+ *
+ * Installing never clobbers a hook that is already there: the existing file is
+ * kept as <hook>.pre-devctx and run first by our wrapper. Uninstall puts it back.
+ * Hooks only ever warn — they never block a checkout, commit, merge or push.
+ */
+
+import { readFileSync, writeFileSync, existsSync, renameSync, unlinkSync, chmodSync, mkdirSync, statSync } from "fs";
+import { join, resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { saveContext, loadLatest, loadConfig, isInitialized, listBranches } from "./storage.js";
+import { mergeBranch } from "./merge.js";
+import { lockedMessage } from "./crypt.js";
+import { useConfig } from "./tokens.js";
+import { buildMinimal } from "./prompts.js";
+import { withRegisterDecisions } from "./decisions.js";
+import {
+  getHooksDir, getCurrentBranch, getLatestCommit, getCommitSubject,
+  getCommitFiles, countCommitsSince, countCommitsAfter, getGitUser, getBranchTip, getMergedParent,
+} from "./git.js";
+
+export const HOOKS = ["post-checkout", "post-commit", "post-merge", "pre-push"];
+
+const MARKER = "# devctx-managed hook";
+const CLI = resolve(join(dirname(fileURLToPath(import.meta.url)), "cli.js"));
+const chained = (p) => `${p}.pre-devctx`;
+
+function wrapper(name) {
+  return `#!/bin/sh
+${MARKER} — remove with: devctx hooks uninstall
+# Any hook that was here before is kept as ${name}.pre-devctx and runs first.
+HOOK_DIR="$(dirname "$0")"
+if [ -x "$HOOK_DIR/${name}.pre-devctx" ]; then
+  "$HOOK_DIR/${name}.pre-devctx" "$@" || exit $?
+fi
+node "${CLI}" hooks run ${name} "$@" || true
+`;
+}
+
+const isOurs = (p) => existsSync(p) && readFileSync(p, "utf8").includes(MARKER);
+
+function requireHooksDir(cwd) {
+  const dir = getHooksDir(cwd);
+  if (!dir) throw new Error("Not a git repo.");
+  if (existsSync(dir) && !statSync(dir).isDirectory()) {
+    throw new Error(`Git hooks path '${dir}' is not a directory (check core.hooksPath).`);
+  }
+  return dir;
+}
+
+/** Install (or refresh) our hooks. Returns [{ hook, status: installed | updated, chained }]. */
+export function installHooks(cwd = process.cwd()) {
+  const dir = requireHooksDir(cwd);
+  mkdirSync(dir, { recursive: true });
+  return HOOKS.map(hook => {
+    const p = join(dir, hook);
+    const updating = isOurs(p);
+    if (existsSync(p) && !updating) renameSync(p, chained(p));
+    writeFileSync(p, wrapper(hook));
+    chmodSync(p, 0o755);
+    return { hook, status: updating ? "updated" : "installed", chained: existsSync(chained(p)) };
+  });
+}
+
+/** Remove our hooks and restore whatever they wrapped. */
+export function uninstallHooks(cwd = process.cwd()) {
+  const dir = requireHooksDir(cwd);
+  return HOOKS.map(hook => {
+    const p = join(dir, hook);
+    if (!isOurs(p)) return { hook, status: existsSync(p) ? "not ours — left alone" : "not installed" };
+    unlinkSync(p);
+    const restored = existsSync(chained(p));
+    if (restored) renameSync(chained(p), p);
+    return { hook, status: "removed", restored };
+  });
+}
+
+export function hooksStatus(cwd = process.cwd()) {
+  const dir = requireHooksDir(cwd);
+  return HOOKS.map(hook => {
+    const p = join(dir, hook);
+    return {
+      hook,
+      installed: isOurs(p),
+      other: existsSync(p) && !isOurs(p),
+      chained: existsSync(chained(p)),
+    };
+  });
+}
+
+// ─── Hook bodies ──────────────────────────────────────────────────────────────
+
+/** post-checkout <prev> <new> <branchFlag> — only branch switches, not file checkouts. */
+function postCheckout([, , flag], cwd) {
+  if (flag !== "1") return null;
+  const branch = getCurrentBranch(cwd);
+  const entry = loadLatest(branch, cwd, { inherit: true });
+  if (!entry) return `devctx: no context saved for '${branch}' yet.`;
+  if (entry.locked) return `devctx: ${lockedMessage(entry)}`;
+  return `── devctx: ${branch} ──\n${buildMinimal(withRegisterDecisions(entry, cwd))}`;
+}
+
+/** post-commit — checkpoint entry pointing at the new commit. */
+function postCommit(_, cwd) {
+  if (!isInitialized(cwd)) return null;
+  const branch = getCurrentBranch(cwd);
+  const commit = getLatestCommit(cwd);
+  const subject = getCommitSubject("HEAD", cwd);
+  const last = loadLatest(branch, cwd);
+  saveContext({
+    branch,
+    task: (!last?.encrypted && last?.task) || subject || "", // checkpoints are stored in the clear
+    scope: "private",
+    state: `Committed ${commit?.slice(0, 8)}: ${subject}`,
+    filesChanged: getCommitFiles("HEAD", cwd),
+    author: getGitUser(cwd)?.name || null,
+    carrySteps: false,
+    meta: { type: "checkpoint", commitHash: commit, basedOn: last?.id || null },
+  }, cwd);
+  return null;
+}
+
+/**
+ * post-merge <squash> — the merged branch is the one whose tip is HEAD's second
+ * parent, or HEAD itself after a fast-forward. Squash merges have no merge commit yet: skipped.
+ */
+function postMerge([squash], cwd) {
+  if (squash === "1" || !isInitialized(cwd)) return null;
+  const target = getCurrentBranch(cwd);
+  const head = getLatestCommit(cwd);
+  const tip = getMergedParent(cwd) || head;
+  const sources = listBranches(cwd).filter(b => b !== target && getBranchTip(b, cwd) === tip);
+  const author = getGitUser(cwd)?.name || null;
+  const lines = [];
+  for (const source of sources) {
+    const r = mergeBranch({ source, target, commit: head, author, scope: "private" }, cwd);
+    if (r && !r.already) lines.push(`devctx: carried context from '${source}' into '${target}' as private entry ${r.entry.id}. Share it with: devctx merge ${source}`);
+  }
+  return lines.join("\n") || null;
+}
+
+/** pre-push — nag when the context lags behind the commits about to be pushed. */
+function prePush(_, cwd) {
+  const branch = getCurrentBranch(cwd);
+  const entry = loadLatest(branch, cwd);
+  if (!entry) return `devctx: '${branch}' has no saved context. Consider: devctx save --task "..."`;
+  const since = entry.meta?.commitHash;
+  const behind = since ? countCommitsSince(since, cwd) : countCommitsAfter(entry.timestamp, cwd);
+  if (behind) return `devctx: context for '${branch}' is ${behind} commit(s) behind (saved ${entry.timestamp?.slice(0, 16)}). Consider: devctx save`;
+  return null;
+}
+
+const RUNNERS = { "post-checkout": postCheckout, "post-commit": postCommit, "post-merge": postMerge, "pre-push": prePush };
+
+/** Entry point for `devctx hooks run <hook> ...args`. Returns text to print, or null. */
+export function runHook(hook, args = [], cwd = process.cwd()) {
+  const run = RUNNERS[hook];
+  if (!run) throw new Error(`Unknown hook '${hook}'. Known: ${HOOKS.join(", ")}`);
+  useConfig(loadConfig(cwd));
+  return run(args, cwd);
+}
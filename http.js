@@ -1,17 +1,34 @@
 #!/usr/bin/env node
 /**
- * http.js — HTTP/SSE transport for DevContext MCP
+ * http.js — HTTP transports for DevContext MCP
+ *
+ *   /mcp      Streamable HTTP (current spec). POST, GET (server stream), DELETE (end session)
+ *   /sse      Legacy SSE stream, paired with POST /message?sessionId=…
+ *   /w/<name>/mcp, /w/<name>/sse, /w/<name>/message
+ *             The same, pinned to a registered workspace (devctx workspace add).
+ *             Unprefixed sessions follow the client's MCP roots instead.
+ *
+ * Every session is keyed by the id its transport issued in the handshake.
+ * Requests with a missing or unknown session id are rejected — never routed
+ * to some other client's transport. Idle sessions expire; SIGINT/SIGTERM
+ * close every open stream before exiting.
+ *
+ * Everything but /health needs `Authorization: Bearer <token>` (see auth.js;
+ * `devctx token` prints it). Host and Origin must be on the allowlist:
+ * loopback names by default, more via --allowed-hosts= / --allowed-origins=.
  */
 
 import { createServer } from "http";
-import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { randomUUID } from "crypto";
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
-import {
-  CallToolRequestSchema, ListToolsRequestSchema,
-  ListResourcesRequestSchema, ReadResourceRequestSchema,
-} from "@modelcontextprotocol/sdk/types.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
 
-import { handlers, toolsList, resourcesList } from "./handlers.js";
+import { createMcpServer, VERSION } from "./mcp.js";
+import { READ_ONLY_TOOLS } from "./handlers.js";
+import { findWorkspace, listWorkspaces, repoOf } from "./workspace.js";
+import { migrateAtStartup } from "./migrate.js";
+import { loadAuth, scopeFor, hostAllowlist, originAllowlist, hostAllowed, originAllowed } from "./auth.js";
 
 const ARGS = Object.fromEntries(
   process.argv.slice(2).filter(a => a.startsWith("--"))
@@ -19,81 +36,261 @@ const ARGS = Object.fromEntries(
 );
 const PORT = parseInt(ARGS.port || process.env.DEVCTX_PORT || "3741");
 const HOST = ARGS.host || process.env.DEVCTX_HOST || "localhost";
+// Minutes without a request before a session is closed
+const IDLE_MINUTES = parseFloat(ARGS["idle-timeout"] || process.env.DEVCTX_IDLE_TIMEOUT || "30");
+const csv = (v) => typeof v === "string" ? v.split(",").map(s => s.trim()).filter(Boolean) : [];
+const ALLOWED_HOSTS = hostAllowlist(HOST, PORT, csv(ARGS["allowed-hosts"] || process.env.DEVCTX_ALLOWED_HOSTS));
+const ALLOWED_ORIGINS = originAllowlist(PORT, csv(ARGS["allowed-origins"] || process.env.DEVCTX_ALLOWED_ORIGINS));
+const AUTH = loadAuth();
 
-const transports = new Map();
+/** sessionId → { kind: "streamable" | "sse", scope: "full" | "read", root, transport, server, lastSeen } */
+const sessions = new Map();
 
-const httpServer = createServer(async (req, res) => {
-  const url = new URL(req.url, `http://${req.headers.host}`);
+function json(res, status, body) {
+  if (res.headersSent) return;
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
 
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+/** JSON-RPC shaped error, as the Streamable HTTP spec expects on /mcp. */
+function rpcError(res, status, code, message) {
+  json(res, status, { jsonrpc: "2.0", error: { code, message }, id: null });
+}
 
-  if (req.method === "OPTIONS") { res.writeHead(204); res.end(); return; }
+async function readJson(req) {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  return body ? JSON.parse(body) : undefined;
+}
 
-  if (url.pathname === "/health") {
-    res.writeHead(200, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({ ok: true, server: "devctx", version: "2.0.0", port: PORT }));
-    return;
+// ─── Access control ───────────────────────────────────────────────────────────
+
+/** Host/Origin check. Runs before anything else, preflights included. */
+function checkOrigin(req, res) {
+  if (!hostAllowed(req.headers.host, ALLOWED_HOSTS)) {
+    json(res, 403, { error: "forbidden", msg: `Host '${req.headers.host}' is not allowed. Start with --allowed-hosts=${req.headers.host} if this is intended.` });
+    return false;
+  }
+  if (!originAllowed(req.headers.origin, ALLOWED_ORIGINS)) {
+    json(res, 403, { error: "forbidden", msg: `Origin '${req.headers.origin}' is not allowed. Start with --allowed-origins=${req.headers.origin} if this is intended.` });
+    return false;
   }
+  return true;
+}
 
-  if (url.pathname === "/sse" && req.method === "GET") {
-    console.error(`[devctx] New SSE client: ${req.headers["user-agent"] || "unknown"}`);
+/** Bearer check. Returns the token's scope, or null after answering 401. */
+function authenticate(req, res) {
+  const scope = scopeFor(req.headers.authorization, AUTH);
+  if (!scope) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="devctx"');
+    json(res, 401, {
+      error: "unauthorized",
+      msg: req.headers.authorization
+        ? "Invalid bearer token. Run `devctx token` for the current one."
+        : "Missing Authorization: Bearer <token> header. Run `devctx token` to get it.",
+    });
+  }
+  return scope;
+}
 
-    const server = new Server(
-      { name: "devctx", version: "2.0.0" },
-      { capabilities: { tools: {}, resources: {} } }
-    );
+/** Read-only tokens may only call READ_ONLY_TOOLS — refuse the rest before they reach a server. */
+function checkScope(res, scope, body) {
+  if (scope === "full") return true;
+  const calls = [].concat(body ?? []).filter(m => m?.method === "tools/call");
+  const denied = calls.find(m => !READ_ONLY_TOOLS.includes(m.params?.name));
+  if (!denied) return true;
+  json(res, 403, { error: "forbidden", msg: `'${denied.params?.name}' needs the full-access token. Read-only tokens can call: ${READ_ONLY_TOOLS.join(", ")}.` });
+  return false;
+}
 
-    server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: toolsList }));
-    server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: resourcesList }));
-    server.setRequestHandler(ReadResourceRequestSchema, handlers.readResource);
-    server.setRequestHandler(CallToolRequestSchema, handlers.callTool);
+/** A session opened with the full token can't be driven with the read-only one. */
+function checkSessionScope(res, s, scope) {
+  if (s.scope !== "full" || scope === "full") return true;
+  json(res, 403, { error: "forbidden", msg: "This session was opened with the full-access token." });
+  return false;
+}
 
-    const transport = new SSEServerTransport("/message", res);
-    const id = Date.now().toString();
-    transports.set(id, transport);
+/** Session for `id` if it belongs to this kind and workspace — never someone else's. */
+function touch(id, kind, root) {
+  const s = sessions.get(id);
+  if (!s || s.kind !== kind || s.root !== root) return null;
+  s.lastSeen = Date.now();
+  return s;
+}
 
-    res.on("close", () => {
-      transports.delete(id);
-      console.error(`[devctx] SSE client disconnected`);
-    });
+async function closeSession(id, why) {
+  const s = sessions.get(id);
+  if (!s) return;
+  sessions.delete(id);
+  console.error(`[devctx] Closing ${s.kind} session ${id.slice(0, 8)} (${why})`);
+  try { await s.transport.close(); } catch { /* already gone */ }
+  try { await s.server.close(); } catch { /* already gone */ }
+}
+
+// ─── Streamable HTTP (/mcp) ───────────────────────────────────────────────────
 
-    await server.connect(transport);
-    return;
+async function handleMcp(req, res, scope, root) {
+  const sessionId = req.headers["mcp-session-id"];
+
+  let body;
+  if (req.method === "POST") {
+    try { body = await readJson(req); }
+    catch { return rpcError(res, 400, -32700, "Parse error: invalid JSON"); }
+  }
+  if (!checkScope(res, scope, body)) return;
+
+  if (sessionId) {
+    const s = touch(sessionId, "streamable", root);
+    if (!s) return rpcError(res, 404, -32001, "Unknown or expired session. Re-initialize.");
+    if (!checkSessionScope(res, s, scope)) return;
+    return s.transport.handleRequest(req, res, body);
   }
 
-  if (url.pathname === "/message" && req.method === "POST") {
-    const sessionId = url.searchParams.get("sessionId");
-    const transport = sessionId ? transports.get(sessionId) : [...transports.values()][0];
+  // No session yet — only an initialize request may open one
+  const isInit = req.method === "POST" &&
+    (Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body));
+  if (!isInit) return rpcError(res, 400, -32000, "Missing Mcp-Session-Id header. Send initialize first.");
 
-    if (!transport) {
-      res.writeHead(400, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ error: "No active SSE connection" }));
-      return;
+  const server = createMcpServer({ readOnly: scope === "read", root });
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    onsessioninitialized: (id) => {
+      sessions.set(id, { kind: "streamable", scope, root, transport, server, lastSeen: Date.now() });
+      console.error(`[devctx] New /mcp session ${id.slice(0, 8)} (${scope}): ${req.headers["user-agent"] || "unknown"}`);
+    },
+  });
+  transport.onclose = () => {
+    if (transport.sessionId && sessions.get(transport.sessionId)?.transport === transport) {
+      sessions.delete(transport.sessionId);
     }
+  };
+  await server.connect(transport);
+  await transport.handleRequest(req, res, body);
+}
+
+// ─── Legacy SSE (/sse + /message) ─────────────────────────────────────────────
+
+async function handleSse(req, res, scope, root, prefix) {
+  const server = createMcpServer({ readOnly: scope === "read", root });
+  const transport = new SSEServerTransport(`${prefix}/message`, res);
+  const id = transport.sessionId;
+  sessions.set(id, { kind: "sse", scope, root, transport, server, lastSeen: Date.now() });
+  console.error(`[devctx] New SSE session ${id.slice(0, 8)} (${scope}): ${req.headers["user-agent"] || "unknown"}`);
+
+  res.on("close", () => {
+    if (sessions.get(id)?.transport === transport) sessions.delete(id);
+    console.error(`[devctx] SSE session ${id.slice(0, 8)} disconnected`);
+  });
+
+  await server.connect(transport);
+}
 
-    let body = "";
-    for await (const chunk of req) body += chunk;
-    await transport.handlePostMessage(req, res, JSON.parse(body));
-    return;
+async function handleMessage(req, res, url, scope, root) {
+  const sessionId = url.searchParams.get("sessionId");
+  if (!sessionId) return json(res, 400, { error: "Missing sessionId query parameter." });
+
+  const s = touch(sessionId, "sse", root);
+  if (!s) return json(res, 404, { error: `Unknown or expired session '${sessionId}'. Reconnect to /sse.` });
+  if (!checkSessionScope(res, s, scope)) return;
+
+  let body;
+  try { body = await readJson(req); }
+  catch { return json(res, 400, { error: "Invalid JSON body." }); }
+  if (!checkScope(res, scope, body)) return;
+  await s.transport.handlePostMessage(req, res, body);
+}
+
+// ─── Server ───────────────────────────────────────────────────────────────────
+
+const httpServer = createServer(async (req, res) => {
+  if (!checkOrigin(req, res)) return;
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  // CORS only for allowlisted browser origins — never a wildcard
+  if (req.headers.origin) {
+    res.setHeader("Access-Control-Allow-Origin", req.headers.origin);
+    res.setHeader("Vary", "Origin");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID");
+    res.setHeader("Access-Control-Expose-Headers", "Mcp-Session-Id");
   }
 
-  res.writeHead(404, { "Content-Type": "application/json" });
-  res.end(JSON.stringify({
+  if (req.method === "OPTIONS") { res.writeHead(204); res.end(); return; }
+
+  try {
+    if (url.pathname === "/health") {
+      return json(res, 200, {
+        ok: true, server: "devctx", version: VERSION, port: PORT,
+        sessions: sessions.size, workspaces: Object.keys(listWorkspaces()).length,
+      });
+    }
+    // /w/<name>/<route> pins the session to a registered workspace
+    const [, wsName, route] = /^(?:\/w\/([^/]+))?(\/[^/]*)$/.exec(url.pathname) || [];
+    const routes = {
+      "/mcp":     ["GET", "POST", "DELETE"],
+      "/sse":     ["GET"],
+      "/message": ["POST"],
+    };
+    if (routes[route]?.includes(req.method)) {
+      const scope = authenticate(req, res);
+      if (!scope) return;
+      const root = wsName ? findWorkspace(wsName) : null;
+      if (wsName && !root) {
+        return json(res, 404, { error: `Unknown workspace '${wsName}'. Known: ${Object.keys(listWorkspaces()).join(", ") || "none"} (devctx workspace add).` });
+      }
+      const prefix = wsName ? `/w/${wsName}` : "";
+      if (route === "/mcp") return await handleMcp(req, res, scope, root);
+      if (route === "/sse") return await handleSse(req, res, scope, root, prefix);
+      return await handleMessage(req, res, url, scope, root);
+    }
+  } catch (e) {
+    console.error("[devctx] Request error:", e.message);
+    return json(res, 500, { error: e.message });
+  }
+
+  json(res, 404, {
     error: "Not found",
     endpoints: {
       health: `GET http://${HOST}:${PORT}/health`,
-      sse:    `GET http://${HOST}:${PORT}/sse`,
-      msg:    `POST http://${HOST}:${PORT}/message`,
+      mcp:    `POST http://${HOST}:${PORT}/mcp`,
+      sse:    `GET http://${HOST}:${PORT}/sse (legacy)`,
+      msg:    `POST http://${HOST}:${PORT}/message?sessionId=… (legacy)`,
+      workspace: `http://${HOST}:${PORT}/w/<name>/mcp`,
     },
-  }));
+  });
 });
 
+// Expire idle sessions
+const sweeper = setInterval(() => {
+  const cutoff = Date.now() - IDLE_MINUTES * 60_000;
+  for (const [id, s] of sessions) if (s.lastSeen < cutoff) closeSession(id, "idle");
+}, Math.min(60_000, IDLE_MINUTES * 60_000));
+sweeper.unref();
+
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.error(`[devctx] ${signal} — closing ${sessions.size} session(s)`);
+  await Promise.all([...sessions.keys()].map(id => closeSession(id, "shutdown")));
+  httpServer.close(() => process.exit(0));
+  httpServer.closeAllConnections?.();
+  setTimeout(() => process.exit(0), 3000).unref();
+}
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+migrateAtStartup([process.cwd(), ...Object.values(listWorkspaces())].map(repoOf));
+
 httpServer.listen(PORT, HOST, () => {
-  console.error(`[devctx] HTTP/SSE MCP server running at http://${HOST}:${PORT}`);
-  console.error(`[devctx] SSE endpoint: http://${HOST}:${PORT}/sse`);
-  console.error(`[devctx] Point your editor to the SSE endpoint above.`);
+  console.error(`[devctx] HTTP MCP server running at http://${HOST}:${PORT}`);
+  console.error(`[devctx] Streamable HTTP endpoint: http://${HOST}:${PORT}/mcp`);
+  console.error(`[devctx] Legacy SSE endpoint:      http://${HOST}:${PORT}/sse`);
+  console.error(`[devctx] Point your editor to the /mcp endpoint (or /sse if it only speaks SSE).`);
+  console.error(`[devctx] Bearer tokens: ${AUTH.path} (print with: devctx token)`);
+  if (["0.0.0.0", "::"].includes(HOST) && !ARGS["allowed-hosts"] && !process.env.DEVCTX_ALLOWED_HOSTS) {
+    console.error(`[devctx] Listening on all interfaces but only loopback Host headers are accepted. Add --allowed-hosts=<name:port>.`);
+  }
 });
 
 httpServer.on("error", (e) => {
@@ -0,0 +1,46 @@
+/**
+ * mcp.js — One MCP server instance, wired to the devctx handlers.
+ * Shared by the stdio entry point (index.js) and every HTTP session (http.js).
+ */
+
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import {
+  CallToolRequestSchema, ListToolsRequestSchema,
+  ListResourcesRequestSchema, ReadResourceRequestSchema,
+  ListPromptsRequestSchema, GetPromptRequestSchema, CompleteRequestSchema,
+  ListResourceTemplatesRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+
+import { handlers, toolsList, resourcesList, resourceTemplatesList, promptsList, READ_ONLY_TOOLS } from "./handlers.js";
+import { createWorkspace } from "./workspace.js";
+import { handleSubscriptions } from "./watch.js";
+import { clientSampler } from "./ai.js";
+
+export const VERSION = "2.0.0";
+
+/**
+ * readOnly: only list and allow READ_ONLY_TOOLS (HTTP sessions opened with the read-only token).
+ * root: pin the session to one repo (HTTP /w/<name>/…); otherwise the client's roots decide.
+ */
+export function createMcpServer({ readOnly = false, root = null } = {}) {
+  const server = new Server(
+    { name: "devctx", version: VERSION },
+    { capabilities: { tools: {}, resources: { subscribe: true }, prompts: {}, completions: {} } }
+  );
+
+  const workspace = createWorkspace(server, { root });
+  const tools = readOnly ? toolsList.filter(t => READ_ONLY_TOOLS.includes(t.name)) : toolsList;
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: resourcesList }));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: resourceTemplatesList }));
+  server.setRequestHandler(ReadResourceRequestSchema, (req) => handlers.readResource(req, { workspace }));
+  server.setRequestHandler(CallToolRequestSchema, (req, extra) =>
+    handlers.callTool(req, { readOnly, workspace, sample: clientSampler(server, extra) }));
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: promptsList }));
+  server.setRequestHandler(GetPromptRequestSchema, (req) => handlers.getPrompt(req, { readOnly, workspace }));
+  server.setRequestHandler(CompleteRequestSchema, (req) => handlers.complete(req, { workspace }));
+  handleSubscriptions(server, workspace);
+
+  return server;
+}
@@ -0,0 +1,81 @@
+/**
+ * merge.js — Carry a merged branch's context into the branch it was merged into
+ *
+ * mergeBranch folds the source branch's shared full saves into a new entry on
+ * the target (meta.type "merge", meta.mergedFrom): decisions still standing,
+ * constraints and failed approaches from every save it can read, next to the
+ * target's own. Saves it can't decrypt are reported, not guessed at. The target
+ * keeps its task, goal and state; a target with no context yet takes the
+ * source's. Steps still open in the newest save come along; finished and dropped
+ * ones stay behind. The source's accepted branch decisions move to the target in
+ * the register (repo-wide when the target is the default branch), and
+ * branches.json marks the source merged: { into, commit, at }. With scope
+ * "private" (the post-merge hook) only a private entry is written: register and
+ * manifest are committed.
+ *
+ * The merge entry keeps the target's visibility. Sealed source context is never
+ * written into a plain shared entry unasked: pass encrypt to choose.
+ */
+
+import { saveContext, loadLatest, loadSaves, loadManifest, markMerged, withLock } from "./storage.js";
+import { lockedMessage } from "./crypt.js";
+import { openSteps } from "./steps.js";
+import { standingDecisions, carryDecisions } from "./decisions.js";
+import { getDefaultBranch } from "./git.js";
+
+const union = (...lists) => [...new Set(lists.flat().filter(Boolean))];
+
+/** Failed approaches from all entries, once per description. */
+const failedApproaches = (...entries) => entries
+  .flatMap(e => (e?.approaches || []).filter(a => a.failed))
+  .filter((a, i, all) => all.findIndex(b => b.description === a.description) === i);
+
+/**
+ * Returns { entry, source: newest save used, unreadable: [ids], carried: [decision
+ * records], already: false }, or { already: merged } when the source is marked
+ * merged at this commit, or null when the source has no shared context. Throws
+ * when no source save can be read, the target's latest is locked, or sealed
+ * source context would land in a plain shared entry and `encrypt` wasn't given.
+ */
+export function mergeBranch({ source, target, commit = null, author = null, scope = "shared", encrypt }, cwd = process.cwd()) {
+  return withLock(cwd, () => {
+    const saves = loadSaves(source, cwd, { scope: "shared" });
+    if (!saves.length) return null;
+    const readable = saves.filter(e => !e.locked);
+    if (!readable.length) throw new Error(lockedMessage(saves[0]));
+    const from = readable[0];
+    const merged = loadManifest(cwd)[source]?.merged;
+    if (merged && merged.into === target && merged.commit === commit) return { already: merged };
+
+    const into = loadLatest(target, cwd, { scope: "shared" });
+    if (into?.locked) throw new Error(lockedMessage(into));
+    const sealed = readable.some(e => e.encrypted);
+    // A private entry never leaves this machine, so it may simply stay sealed
+    const seal = encrypt ?? (scope === "private" ? sealed || !!into?.encrypted : into ? !!into.encrypted : sealed);
+    if (sealed && !seal && encrypt === undefined) {
+      throw new Error(`'${source}' has encrypted context and '${target}' doesn't. Merging it would write it in the clear: pass encrypt to seal the merge entry, or encrypt: false to write it plain anyway.`);
+    }
+    const base = into || from;
+    // Entry first: it can still fail (a missing key), and the register must not move without it
+    const entry = saveContext({
+      branch: target,
+      task: base.task,
+      goal: base.goal,
+      state: base.state,
+      approaches: failedApproaches(into, ...readable),
+      decisions: union(into ? standingDecisions(into, cwd) : [], ...readable.map(e => standingDecisions(e, cwd))),
+      nextSteps: openSteps(from.nextSteps),
+      constraints: union(into?.constraints, ...readable.map(e => e.constraints)),
+      filesChanged: from.filesChanged,
+      author,
+      meta: { type: "merge", mergedFrom: source, commitHash: commit, basedOn: from.id },
+      encrypt: seal,
+      scope,
+    }, cwd);
+    const unreadable = saves.filter(e => e.locked).map(e => e.id);
+    if (scope === "private") return { entry, source: from, unreadable, carried: [], already: false };
+    const carried = carryDecisions(source, target, target === getDefaultBranch(cwd) ? "repo" : "branch", cwd);
+    markMerged(source, { into: target, commit, at: entry.timestamp }, cwd);
+    return { entry, source: from, unreadable, carried, already: false };
+  });
+}
@@ -0,0 +1,278 @@
+/**
+ * migrate.js — Upgrade .devctx/ to the current storage version
+ *
+ * MIGRATIONS holds one step per storage version, in order. Each step upgrades
+ * the repo from `to - 1` to `to` and returns a line per changed file; with
+ * dryRun it only reports. A real run copies .devctx/ to a backup first and
+ * records `version` after every step, so an interrupted run picks up where it
+ * stopped.
+ *
+ * Runs when a server starts, on the first request for each repo, and on
+ * `devctx migrate [--dry-run]`.
+ */
+
+import { readFileSync, existsSync, readdirSync, cpSync, mkdirSync, renameSync, unlinkSync, rmdirSync } from "fs";
+import { join, basename } from "path";
+import {
+  devctxDir, loadConfig, saveConfig, indexRow, formatVersion, encodeBranch, loadManifest, saveManifest,
+  writeJson, writeAtomic, withLock, GITIGNORE,
+} from "./storage.js";
+import { normalizeSteps } from "./steps.js";
+import { loadDecisions, saveDecisions } from "./decisions.js";
+import { countEntryTokens, useConfig } from "./tokens.js";
+import { readJsonl, writeJsonl } from "./gc.js";
+import { getGitDir } from "./git.js";
+import { userDir } from "./userdir.js";
+
+// ─── Steps ────────────────────────────────────────────────────────────────────
+
+const readJson = (p) => JSON.parse(readFileSync(p, "utf8"));
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** An entry from any earlier release, in the current shape. */
+export function upgradeEntry(e) {
+  const up = {
+    ...e,
+    task: e.task || "",
+    goal: e.goal ?? null,
+    state: e.state ?? null,
+    approaches: (e.approaches || []).map(a => typeof a === "string" ? { description: a } : a),
+    decisions: e.decisions || [],
+    nextSteps: normalizeSteps(e.nextSteps || []),
+    constraints: e.constraints || [],
+    pinned: e.pinned || [],
+    filesChanged: e.filesChanged || [],
+    author: e.author ?? null,
+    meta: e.meta || {},
+  };
+  up.tokenCount = Number.isInteger(e.tokenCount) ? e.tokenCount : countEntryTokens(up);
+  return up;
+}
+
+/** 2 → 3: fill fields older entries lack, turn string approaches/steps into objects, refresh index rows. */
+function upgradeEntries(cwd, { dryRun }) {
+  const changes = [];
+  const base = join(devctxDir(cwd), "branches");
+  for (const b of existsSync(base) ? readdirSync(base) : []) {
+    const dir = join(base, b);
+    const upgraded = new Map();
+    for (const f of readdirSync(dir).filter(f => f.endsWith(".json") && f !== "index.json")) {
+      let entry;
+      try { entry = readJson(join(dir, f)); } catch { changes.push(`skipped unreadable branches/${b}/${f}`); continue; }
+      const up = upgradeEntry(entry);
+      upgraded.set(up.id, up);
+      if (same(entry, up)) continue;
+      changes.push(`upgraded branches/${b}/${f}`);
+      if (!dryRun) writeJson(join(dir, f), up);
+    }
+
+    const indexPath = join(dir, "index.json");
+    if (!existsSync(indexPath)) continue;
+    const index = readJson(indexPath);
+    const entries = index.entries.map(row => upgraded.has(row.id) ? indexRow(upgraded.get(row.id)) : row);
+    if (same(entries, index.entries)) continue;
+    changes.push(`refreshed branches/${b}/index.json`);
+    if (!dryRun) writeJson(indexPath, { ...index, entries });
+  }
+
+  const archive = join(devctxDir(cwd), "archive");
+  for (const f of existsSync(archive) ? readdirSync(archive).filter(f => f.endsWith(".jsonl.gz")) : []) {
+    const entries = readJsonl(join(archive, f));
+    const up = entries.map(upgradeEntry);
+    if (same(entries, up)) continue;
+    changes.push(`upgraded archive/${f}`);
+    if (!dryRun) writeJsonl(join(archive, f), up);
+  }
+  return changes;
+}
+
+const byNewest = (a, b) => (b.timestamp || "").localeCompare(a.timestamp || "");
+
+/**
+ * 3 → 4: directories were named with every unsafe character turned into '_', so
+ * feat/login and feat_login shared one. Regroup entry files and archives by each
+ * entry's own `branch` into encodeBranch() directories, split the index rows with
+ * them, and write the branch manifest from entry timestamps.
+ */
+function splitBranchDirs(cwd, { dryRun }) {
+  const changes = [];
+  const manifest = loadManifest(cwd);
+  const seen = (branch, at) => {
+    const b = manifest[branch] ||= { dir: encodeBranch(branch), firstSeen: at, lastSeen: at };
+    if (at < b.firstSeen) b.firstSeen = at;
+    if (at > b.lastSeen) b.lastSeen = at;
+  };
+
+  const base = join(devctxDir(cwd), "branches");
+  for (const d of existsSync(base) ? readdirSync(base) : []) {
+    const dir = join(base, d);
+    const indexPath = join(dir, "index.json");
+    const rows = existsSync(indexPath) ? readJson(indexPath).entries : [];
+    const groups = new Map();
+    for (const f of readdirSync(dir).filter(f => f.endsWith(".json") && f !== "index.json")) {
+      let entry;
+      try { entry = readJson(join(dir, f)); } catch { continue; } // left in place for `devctx validate`
+      const branch = entry.branch || d;
+      seen(branch, entry.timestamp);
+      if (!groups.has(branch)) groups.set(branch, []);
+      groups.get(branch).push({ f, id: entry.id });
+    }
+
+    let keep = [];
+    for (const [branch, files] of groups) {
+      const ids = new Set(files.map(x => x.id));
+      const own = rows.filter(r => ids.has(r.id));
+      const target = encodeBranch(branch);
+      if (target === d) { keep = own; continue; }
+      changes.push(`moved ${files.length} entr${files.length === 1 ? "y" : "ies"} of '${branch}' from branches/${d} to branches/${target}`);
+      if (dryRun) continue;
+      const to = join(base, target);
+      mkdirSync(to, { recursive: true });
+      files.forEach(x => renameSync(join(dir, x.f), join(to, x.f)));
+      const toIndex = join(to, "index.json");
+      const merged = [...(existsSync(toIndex) ? readJson(toIndex).entries : []), ...own]
+        .filter((r, i, all) => all.findIndex(x => x.id === r.id) === i)
+        .sort(byNewest);
+      writeJson(toIndex, { entries: merged });
+    }
+
+    if (dryRun) continue;
+    const stays = [...groups.keys()].some(b => encodeBranch(b) === d);
+    if (!stays && readdirSync(dir).every(f => f === "index.json")) {
+      if (existsSync(indexPath)) unlinkSync(indexPath);
+      rmdirSync(dir);
+    } else if (!same(keep, rows)) writeJson(indexPath, { entries: keep });
+  }
+
+  const archive = join(devctxDir(cwd), "archive");
+  for (const f of existsSync(archive) ? readdirSync(archive).filter(f => f.endsWith(".jsonl.gz")) : []) {
+    const d = f.slice(0, -".jsonl.gz".length);
+    const groups = new Map();
+    for (const e of readJsonl(join(archive, f))) {
+      const branch = e.branch || d;
+      seen(branch, e.timestamp);
+      if (!groups.has(branch)) groups.set(branch, []);
+      groups.get(branch).push(e);
+    }
+    const moving = [...groups].filter(([branch]) => encodeBranch(branch) !== d);
+    if (!moving.length) continue;
+    for (const [branch, entries] of moving) {
+      const target = `${encodeBranch(branch)}.jsonl.gz`;
+      changes.push(`moved ${entries.length} archived entr${entries.length === 1 ? "y" : "ies"} of '${branch}' from archive/${f} to archive/${target}`);
+      if (dryRun) continue;
+      const existing = readJsonl(join(archive, target));
+      const have = new Set(existing.map(e => e.id));
+      writeJsonl(join(archive, target), [...existing, ...entries.filter(e => !have.has(e.id))].sort(byNewest));
+    }
+    if (!dryRun) writeJsonl(join(archive, f), [...groups].filter(([branch]) => encodeBranch(branch) === d).flatMap(([, e]) => e));
+  }
+
+  const before = loadManifest(cwd);
+  if (!same(before, manifest)) {
+    changes.push(`recorded ${Object.keys(manifest).length} branch(es) in branches.json`);
+    if (!dryRun) saveManifest(manifest, cwd);
+  }
+  return changes;
+}
+
+/** 4 → 5: repos made before init wrote .devctx/.gitignore get one; an existing file gains the missing lines. */
+function writeGitignore(cwd, { dryRun }) {
+  const p = join(devctxDir(cwd), ".gitignore");
+  const have = existsSync(p) ? readFileSync(p, "utf8") : null;
+  const lines = new Set((have || "").split(/\r?\n/).map(l => l.trim()));
+  const missing = GITIGNORE.filter(l => !lines.has(l));
+  if (!missing.length) return [];
+  if (!dryRun) writeAtomic(p, `${have ? have.replace(/\n?$/, "\n") : ""}${missing.map(l => `${l}\n`).join("")}`);
+  return [`${have === null ? "wrote" : "added " + missing.join(", ") + " to"} .gitignore`];
+}
+
+/**
+ * 5 → 6: every branch rewrote the one decisions.json and the manifest's lastSeen,
+ * so merges conflicted there. Give each decision its own file under decisions/
+ * (one already there wins) and drop lastSeen from branches.json.
+ */
+function splitRegister(cwd, { dryRun }) {
+  const changes = [];
+  const register = join(devctxDir(cwd), "decisions.json");
+  if (existsSync(register)) {
+    const have = new Set(loadDecisions(cwd).map(d => d.id));
+    const records = (readJson(register).decisions || []).filter(d => !have.has(d.id));
+    changes.push(`moved ${records.length} decision(s) from decisions.json to decisions/`);
+    if (!dryRun) { saveDecisions(records, cwd); unlinkSync(register); }
+  }
+
+  const manifest = loadManifest(cwd);
+  const stale = Object.values(manifest).filter(b => "lastSeen" in b);
+  if (stale.length) {
+    changes.push(`dropped lastSeen from ${stale.length} branch(es) in branches.json`);
+    if (!dryRun) { stale.forEach(b => delete b.lastSeen); saveManifest(manifest, cwd); }
+  }
+  return changes;
+}
+
+export const MIGRATIONS = [
+  { to: 3, description: "Entries in the current shape (object approaches and steps, no missing fields)", run: upgradeEntries },
+  { to: 4, description: "One directory per branch name (lossless encoding) and a branch manifest", run: splitBranchDirs },
+  { to: 5, description: "A .devctx/.gitignore that keeps the lock, temp files and local/ out of git", run: writeGitignore },
+  { to: 6, description: "One file per decision under decisions/ and no lastSeen in branches.json, so branches merge cleanly", run: splitRegister },
+];
+
+// ─── Engine ───────────────────────────────────────────────────────────────────
+
+/** Copy .devctx/ into the git dir (never committed), or ~/.devctx/backups outside git. */
+function backup(cwd, from) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const gitDir = getGitDir(cwd);
+  const dest = gitDir
+    ? join(gitDir, "devctx-backups", `v${from}-${stamp}`)
+    : join(userDir(), "backups", `${basename(cwd)}-v${from}-${stamp}`);
+  cpSync(devctxDir(cwd), dest, { recursive: true });
+  return dest;
+}
+
+/**
+ * Bring .devctx/ in `cwd` up to STORAGE_VERSION.
+ * Returns { from, to, steps: [{ to, description, changes }], backup, dryRun }.
+ * Throws when the repo was written by a newer devctx.
+ */
+export function migrateRepo({ dryRun = false } = {}, cwd = process.cwd()) {
+  if (!loadConfig(cwd)) return { from: null, to: null, steps: [], backup: null, dryRun };
+  // Decide under the lock: another process may have just finished the same upgrade
+  return withLock(cwd, () => {
+    const cfg = loadConfig(cwd);
+    const from = formatVersion(cfg);
+    const pending = MIGRATIONS.filter(m => m.to > from);
+    const result = { from, to: pending.at(-1)?.to ?? from, steps: [], backup: null, dryRun };
+    if (!pending.length) return result;
+
+    useConfig(cfg);
+    if (!dryRun) result.backup = backup(cwd, from);
+    for (const m of pending) {
+      result.steps.push({ to: m.to, description: m.description, changes: m.run(cwd, { dryRun }) });
+      if (!dryRun) saveConfig({ ...loadConfig(cwd), version: m.to }, cwd);
+    }
+    return result;
+  });
+}
+
+const checked = new Set();
+
+/** Migrate `cwd` once per process. Newer-version errors propagate. */
+export function ensureMigrated(cwd = process.cwd()) {
+  if (checked.has(cwd)) return null;
+  const r = migrateRepo({}, cwd);
+  checked.add(cwd);
+  return r.steps.length ? r : null;
+}
+
+/** Server startup: migrate each known repo, reporting to stderr instead of throwing. */
+export function migrateAtStartup(dirs) {
+  for (const dir of new Set(dirs)) {
+    try {
+      const r = ensureMigrated(dir);
+      if (r) process.stderr.write(`devctx: upgraded ${dir} from storage v${r.from} to v${r.to} (backup: ${r.backup})\n`);
+    } catch (e) {
+      process.stderr.write(`devctx: ${dir}: ${e.message}\n`);
+    }
+  }
+}
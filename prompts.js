@@ -13,6 +13,68 @@
  */
 
 import { TIER, trimTobudget } from "./tokens.js";
+import { stepText } from "./steps.js";
+
+/** Step text, flagged when someone already started it. */
+const stepLine = (s) => `${stepText(s)}${s?.status === "in-progress" ? " (in progress)" : ""}`;
+
+const OMITTED_LABEL = {
+  nextSteps: ["more step", "more steps"],
+  decisions: ["more decision", "more decisions"],
+  approaches: ["more failed approach", "more failed approaches"],
+  constraints: ["more constraint", "more constraints"],
+};
+
+/** "2 more decisions, 1 more constraint omitted for budget" — null when nothing was dropped. */
+function describeOmitted(omitted = {}) {
+  const parts = Object.entries(OMITTED_LABEL)
+    .filter(([field]) => omitted[field])
+    .map(([field, [one, many]]) => `${omitted[field]} ${omitted[field] === 1 ? one : many}`);
+  return parts.length ? `${parts.join(", ")} omitted for budget` : null;
+}
+
+/** "just now", "5 hours ago", "3 days ago". */
+function ago(iso, now = Date.now()) {
+  const mins = Math.floor((now - Date.parse(iso)) / 60_000);
+  if (!(mins >= 1)) return "just now";
+  const [n, unit] = mins < 60 ? [mins, "minute"] : mins < 1440 ? [Math.floor(mins / 60), "hour"] : [Math.floor(mins / 1440), "day"];
+  return `${n} ${unit}${n === 1 ? "" : "s"} ago`;
+}
+
+const VIA = { recorded: "its recorded parent", "merge-base": "closest merge-base", default: "default branch" };
+
+/** "inherited from feature/x (its recorded parent), saved 3 days ago" for entries loaded with inherit. */
+function inheritedNote(entry) {
+  const { via, path } = entry.inherited;
+  const through = path.length > 2 ? `, via ${path.slice(1, -1).join(" → ")}` : "";
+  return `inherited from ${entry.branch} (${VIA[via]}${through}), saved ${ago(entry.timestamp)}`;
+}
+
+/** Revisions made after this clone last resumed the entry (all of them if it never did). See withLastResumed. */
+export function changesSinceResume(entry) {
+  const since = entry.lastResumedAt || "";
+  return (entry.revisions || []).filter(r => r.at > since);
+}
+
+/** One-line summary of revisions — "state updated; +2 decisions; 1 approach failed". */
+function describeChanges(revisions) {
+  const n = { state: 0, task: 0, goal: 0, addDecisions: 0, addNextSteps: 0, removeNextSteps: 0, addConstraints: 0, failApproaches: 0, done: 0 };
+  for (const { changes } of revisions) {
+    for (const [k, v] of Object.entries(changes)) if (k in n) n[k] += Array.isArray(v) ? v.length : 1;
+    n.done += (changes.setSteps || []).filter(s => s.to === "done").length;
+  }
+  const parts = [];
+  if (n.task) parts.push("task changed");
+  if (n.goal) parts.push("goal changed");
+  if (n.state) parts.push("state updated");
+  if (n.addDecisions) parts.push(`+${n.addDecisions} decision${n.addDecisions > 1 ? "s" : ""}`);
+  if (n.addConstraints) parts.push(`+${n.addConstraints} constraint${n.addConstraints > 1 ? "s" : ""}`);
+  if (n.addNextSteps) parts.push(`+${n.addNextSteps} step${n.addNextSteps > 1 ? "s" : ""}`);
+  if (n.removeNextSteps) parts.push(`-${n.removeNextSteps} step${n.removeNextSteps > 1 ? "s" : ""}`);
+  if (n.done) parts.push(`${n.done} step${n.done > 1 ? "s" : ""} done`);
+  if (n.failApproaches) parts.push(`${n.failApproaches} approach${n.failApproaches > 1 ? "es" : ""} marked failed`);
+  return parts.join("; ");
+}
 
 /**
  * Core builder — produces a structured prompt for a given tier.
@@ -28,6 +90,9 @@ export function buildPrompt(entry, tier = TIER.STANDARD, focusQuestion = null) {
   if (e.goal) parts.push(`Why: ${e.goal}`);
   if (e.state) parts.push(`State: ${e.state}`);
 
+  const changed = changesSinceResume(entry);
+  if (changed.length) parts.push(`Changed since last resume: ${describeChanges(changed)}`);
+
   if (e.constraints?.length) {
     parts.push(`Constraints: ${e.constraints.join(" | ")}`);
   }
@@ -44,13 +109,19 @@ export function buildPrompt(entry, tier = TIER.STANDARD, focusQuestion = null) {
   }
 
   if (e.nextSteps?.length) {
-    parts.push(`Next: ${e.nextSteps[0]}`);
+    parts.push(`Next: ${stepLine(e.nextSteps[0])}`);
     if (e.nextSteps.length > 1 && tier !== TIER.MINIMAL) {
-      parts.push(`Backlog: ${e.nextSteps.slice(1).join(" | ")}`);
+      parts.push(`Backlog: ${e.nextSteps.slice(1).map(stepLine).join(" | ")}`);
     }
   }
 
-  parts.push(`Branch: ${entry.branch} | Saved: ${entry.timestamp?.slice(0, 10)}`);
+  // Say what the budget cut, so the AI knows to ask (or resume at a bigger tier)
+  const omitted = describeOmitted(e._omitted);
+  if (omitted && tier !== TIER.MINIMAL) parts.push(`${omitted}.`);
+
+  parts.push(entry.inherited
+    ? `Branch: ${entry.inherited.into} has no context yet; this is ${inheritedNote(entry)} (${entry.timestamp?.slice(0, 10)})`
+    : `Branch: ${entry.branch} | Saved: ${entry.timestamp?.slice(0, 10)}`);
 
   if (focusQuestion) {
     parts.push(`\nFocus: ${focusQuestion}`);
@@ -95,10 +166,10 @@ export function buildHandoff(entry, fromUser, toUser) {
   }
 
   if (e.nextSteps?.length) {
-    parts.push(`Your first move: ${e.nextSteps[0]}`);
-    if (e.nextSteps.length > 1) parts.push(`Then: ${e.nextSteps.slice(1).join(" | ")}`);
+    parts.push(`Your first move: ${stepLine(e.nextSteps[0])}`);
+    if (e.nextSteps.length > 1) parts.push(`Then: ${e.nextSteps.slice(1).map(stepLine).join(" | ")}`);
   }
-  parts.push(`Branch: ${entry.branch}`);
+  parts.push(entry.inherited ? `Branch: ${entry.inherited.into}, context ${inheritedNote(entry)}` : `Branch: ${entry.branch}`);
   return parts.join("\n");
 }
 
@@ -0,0 +1,134 @@
+/**
+ * redact.js — Keep secrets out of .devctx/ (and so out of git history)
+ *
+ * Every entry passes through redactEntry before it is written. Matches are
+ * replaced with [REDACTED:<detector>] and reported as { field, detector },
+ * never with the secret itself. Built-in detectors cover common key formats,
+ * private keys, credentials in URLs and assignments, and long high-entropy
+ * strings. config.json can add or tune them:
+ *
+ *   "redact": {
+ *     "patterns": [{ "name": "internal-token", "pattern": "itk_[a-z0-9]{32}" }],
+ *     "allow": ["EXAMPLE_KEY_[A-Z]+"],    // matches that are never redacted
+ *     "entropy": true,                     // false turns the entropy detector off
+ *     "enabled": true
+ *   }
+ */
+
+/** Built-in detectors. `group` redacts only that capture group (the secret part); `test` filters matches. */
+export const DETECTORS = [
+  { name: "private-key", re: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { name: "aws-access-key", re: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: "github-token", re: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { name: "anthropic-key", re: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { name: "openai-key", re: /\bsk-(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}/g },
+  { name: "stripe-key", re: /\b[sr]k_(?:live|test)_[A-Za-z0-9]{16,}/g },
+  { name: "slack-token", re: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { name: "google-api-key", re: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { name: "devctx-token", re: /\bdcx(?:ro)?_[A-Za-z0-9_-]{20,}/g },
+  { name: "devctx-key", re: /\bdevctx-key:k_[0-9a-f]{8}:[A-Za-z0-9_-]{43}/g },
+  { name: "jwt", re: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  { name: "url-credentials", re: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]*:([^\s@/]+)@/gi, group: 1 },
+  { name: "assignment", re: /\b(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?key|auth[_-]?token|token)\s*[:=]\s*["']?([^\s"',;]{6,})/gi, group: 1,
+    test: (v) => /[^A-Za-z]/.test(v) }, // "token: expired" is prose; values with digits or symbols are not
+];
+
+const ENTROPY_RE = /[A-Za-z0-9+=_-]{32,}/g;
+const ENTROPY_BITS = 4.2;   // random base62 at this length scores ~4.5; hex tops out at 4.0
+const CLASS_SWITCHES = 0.42; // random text flips case/digit about every other char; identifiers ~0.3
+
+/** Shannon entropy in bits per character. */
+function entropy(s) {
+  const counts = new Map();
+  for (const ch of s) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) bits -= (n / s.length) * Math.log2(n / s.length);
+  return bits;
+}
+
+const charClass = (c) => /[a-z]/.test(c) ? 0 : /[A-Z]/.test(c) ? 1 : /\d/.test(c) ? 2 : 3;
+
+/** Share of neighbouring characters that change class (lower / upper / digit / other). */
+function classSwitches(s) {
+  let n = 0;
+  for (let i = 1; i < s.length; i++) if (charClass(s[i]) !== charClass(s[i - 1])) n++;
+  return n / (s.length - 1);
+}
+
+const looksRandom = (s) => entropy(s) >= ENTROPY_BITS && classSwitches(s) >= CLASS_SWITCHES;
+
+/** Detectors for a repo: built-ins plus config `redact` settings. */
+export function redactRules(cfg) {
+  const opts = cfg?.redact || {};
+  if (opts.enabled === false) return null;
+  const custom = (opts.patterns || []).map((p, i) => typeof p === "string"
+    ? { name: `custom-${i + 1}`, re: new RegExp(p, "g") }
+    : { name: p.name || `custom-${i + 1}`, re: new RegExp(p.pattern, p.flags?.includes("g") ? p.flags : `${p.flags || ""}g`) });
+  return {
+    detectors: [...DETECTORS, ...custom],
+    allow: (opts.allow || []).map(a => new RegExp(`^(?:${a})$`)),
+    entropy: opts.entropy !== false,
+  };
+}
+
+/** Redact one string. Returns { text, hits: [detector names] }. */
+export function redactText(text, rules) {
+  const hits = [];
+  const allowed = (s) => s.startsWith("[REDACTED:") || rules.allow.some(a => a.test(s));
+  let out = text;
+  for (const { name, re, group, test } of rules.detectors) {
+    out = out.replace(re, (match, ...rest) => {
+      const secret = group ? rest[group - 1] : match;
+      if (!secret || allowed(secret) || (test && !test(secret))) return match;
+      hits.push(name);
+      const at = match.lastIndexOf(secret); // the secret group sits at the end of these patterns
+      return `${match.slice(0, at)}[REDACTED:${name}]${match.slice(at + secret.length)}`;
+    });
+  }
+  if (rules.entropy) {
+    out = out.replace(ENTROPY_RE, (s) => {
+      if (allowed(s) || !looksRandom(s)) return s;
+      hits.push("high-entropy");
+      return `[REDACTED:high-entropy]`;
+    });
+  }
+  return { text: out, hits };
+}
+
+/** Keys whose values are ids, times or paths, never free text. */
+const SKIP = new Set(["id", "timestamp", "branch", "status", "completedAt", "commit", "commitHash", "basedOn", "author", "filesChanged", "tokenCount", "redacted", "at", "encrypted", "parentBranch", "mergedFrom"]);
+
+/**
+ * Redact every free-text string in `value` (an entry, or any JSON value).
+ * Returns { value, found: [{ field, detector }] }, the input left untouched.
+ */
+export function redact(value, rules, path = "") {
+  const found = [];
+  const walk = (v, p) => {
+    if (typeof v === "string") {
+      const { text, hits } = redactText(v, rules);
+      hits.forEach(detector => found.push({ field: p || "(value)", detector }));
+      return text;
+    }
+    if (Array.isArray(v)) return v.map((x, i) => walk(x, `${p}.${i}`.replace(/^\./, "")));
+    if (v && typeof v === "object") {
+      return Object.fromEntries(Object.entries(v).map(([k, x]) =>
+        [k, SKIP.has(k) ? x : walk(x, p ? `${p}.${k}` : k)]));
+    }
+    return v;
+  };
+  return { value: rules ? walk(value, path) : value, found };
+}
+
+/**
+ * Entry with secrets replaced. What was found is added to meta.redacted
+ * (field + detector only), so later readers know the text was cut.
+ */
+export function redactEntry(entry, rules) {
+  const { value, found } = redact(entry, rules);
+  if (!found.length) return { entry, found };
+  const seen = new Set();
+  const redacted = [...(entry.meta?.redacted || []), ...found]
+    .filter(f => !seen.has(`${f.field}|${f.detector}`) && seen.add(`${f.field}|${f.detector}`));
+  return { entry: { ...value, meta: { ...value.meta, redacted } }, found };
+}
@@ -0,0 +1,83 @@
+/**
+ * rekey.js — Re-encrypt stored entries and rotate a repo's key
+ *
+ * reencryptRepo seals every encrypted entry (entry files in both scopes and gc
+ * archives) under one key, by default the repo's current one. Entries whose key
+ * this user doesn't hold are skipped and reported. Old keys stay in the keyring:
+ * git history still holds entries sealed with them.
+ */
+
+import { readFileSync, existsSync, readdirSync } from "fs";
+import { join, relative } from "path";
+import { scopeDir, loadConfig, saveConfig, writeJson, withLock, SCOPES } from "./storage.js";
+import { readJsonl, writeJsonl, archiveFiles } from "./gc.js";
+import { createKey, hasKey, keyringPath, isSealed, seal, open } from "./crypt.js";
+
+/**
+ * Returns { keyId, reencrypted: [{ file, id }], skipped: [{ file, id, keyId }], dryRun }.
+ * Throws when `keyId` isn't in the keyring.
+ */
+export function reencryptRepo({ keyId = null, dryRun = false } = {}, cwd = process.cwd()) {
+  const target = keyId || loadConfig(cwd)?.encryption?.keyId;
+  if (!target) throw new Error("This repo has no encryption key. Create one with: devctx key new");
+  if (!hasKey(target)) throw new Error(`Key ${target} is not in ${keyringPath()}.`);
+  const result = { keyId: target, reencrypted: [], skipped: [], dryRun };
+  const rel = (p) => relative(cwd, p);
+
+  // null: leave the stored entry as it is
+  const rekey = (stored, file) => {
+    if (!isSealed(stored) || stored.encrypted.keyId === target) return null;
+    const entry = open(stored);
+    if (entry.locked) { result.skipped.push({ file, id: stored.id, keyId: stored.encrypted.keyId }); return null; }
+    result.reencrypted.push({ file, id: stored.id });
+    return seal(entry, target);
+  };
+
+  return withLock(cwd, () => {
+    const dirs = SCOPES.flatMap(s => {
+      const base = join(scopeDir(s, cwd), "branches");
+      return existsSync(base) ? readdirSync(base).map(b => join(base, b)) : [];
+    });
+    for (const dir of dirs) {
+      for (const f of readdirSync(dir).filter(f => f.endsWith(".json") && f !== "index.json")) {
+        let stored;
+        try { stored = JSON.parse(readFileSync(join(dir, f), "utf8")); } catch { continue; }
+        const sealed = rekey(stored, rel(join(dir, f)));
+        if (sealed && !dryRun) writeJson(join(dir, f), sealed); // index rows hold nothing key-specific
+      }
+    }
+
+    for (const p of archiveFiles(cwd)) {
+      let hit = false;
+      const entries = readJsonl(p).map(stored => {
+        const sealed = rekey(stored, rel(p));
+        if (sealed) hit = true;
+        return sealed || stored;
+      });
+      if (hit && !dryRun) writeJsonl(p, entries);
+    }
+    return result;
+  });
+}
+
+/** First key for a repo: added to the keyring and recorded in config. Throws when the repo has one. */
+export function createRepoKey(cwd = process.cwd()) {
+  return withLock(cwd, () => {
+    const cfg = loadConfig(cwd);
+    if (cfg.encryption?.keyId) throw new Error(`This repo already encrypts with ${cfg.encryption.keyId}. Replace it with: devctx key rotate`);
+    const keyId = createKey();
+    saveConfig({ ...cfg, encryption: { keyId } }, cwd);
+    return keyId;
+  });
+}
+
+/** New key for the repo: added to the keyring, recorded in config, every readable encrypted entry moved to it. */
+export function rotateKey(cwd = process.cwd()) {
+  return withLock(cwd, () => {
+    const cfg = loadConfig(cwd);
+    const previous = cfg.encryption?.keyId || null;
+    const keyId = createKey();
+    saveConfig({ ...cfg, encryption: { ...cfg.encryption, keyId } }, cwd);
+    return { previous, ...reencryptRepo({ keyId }, cwd) };
+  });
+}
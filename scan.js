@@ -0,0 +1,78 @@
+/**
+ * scan.js — Run the redaction pass over context that is already stored
+ *
+ * Entries saved before redaction existed (or before a new pattern was added to
+ * config) may still hold secrets. scanRepo checks every entry file (private
+ * ones too, since they may be promoted), archives and the decision register, and rewrites what it finds in place unless dryRun.
+ * Anything already committed stays in git history: rotate those secrets.
+ */
+
+import { readFileSync, existsSync, readdirSync } from "fs";
+import { join, relative } from "path";
+import { scopeDir, loadConfig, readIndex, indexRow, writeJson, withLock, SCOPES } from "./storage.js";
+import { readJsonl, writeJsonl, archiveFiles } from "./gc.js";
+import { countEntryTokens, useConfig } from "./tokens.js";
+import { redact, redactEntry, redactRules } from "./redact.js";
+import { decisionFiles } from "./decisions.js";
+
+/**
+ * Returns { dryRun, files: [{ file, id?, found: [{ field, detector }] }], found }.
+ * Redaction runs even when config sets redact.enabled: false.
+ */
+export function scanRepo({ dryRun = false } = {}, cwd = process.cwd()) {
+  const cfg = loadConfig(cwd) || {};
+  const rules = redactRules({ ...cfg, redact: { ...cfg.redact, enabled: true } });
+  useConfig(cfg);
+  const files = [];
+  const rel = (p) => relative(cwd, p);
+
+  const clean = (entry) => {
+    const r = redactEntry(entry, rules);
+    if (r.found.length) r.entry.tokenCount = countEntryTokens(r.entry);
+    return r;
+  };
+
+  return withLock(cwd, () => {
+    const dirs = SCOPES.flatMap(s => {
+      const base = join(scopeDir(s, cwd), "branches");
+      return existsSync(base) ? readdirSync(base).map(b => join(base, b)) : [];
+    });
+    for (const bdir of dirs) {
+      const changed = new Map();
+      for (const f of readdirSync(bdir).filter(f => f.endsWith(".json") && f !== "index.json")) {
+        let entry;
+        try { entry = JSON.parse(readFileSync(join(bdir, f), "utf8")); } catch { continue; }
+        const r = clean(entry);
+        if (!r.found.length) continue;
+        files.push({ file: rel(join(bdir, f)), id: entry.id, found: r.found });
+        changed.set(entry.id, r.entry);
+        if (!dryRun) writeJson(join(bdir, f), r.entry);
+      }
+      if (dryRun || !changed.size) continue;
+      const index = readIndex(bdir, cwd);
+      index.entries = index.entries.map(row => changed.has(row.id) ? indexRow(changed.get(row.id)) : row);
+      writeJson(join(bdir, "index.json"), index);
+    }
+
+    for (const p of archiveFiles(cwd)) {
+      let hit = false;
+      const entries = readJsonl(p).map(entry => {
+        const r = clean(entry);
+        if (!r.found.length) return entry;
+        hit = true;
+        files.push({ file: rel(p), id: entry.id, found: r.found });
+        return r.entry;
+      });
+      if (hit && !dryRun) writeJsonl(p, entries);
+    }
+
+    for (const p of decisionFiles(cwd)) {
+      const { value, found } = redact(JSON.parse(readFileSync(p, "utf8")), rules);
+      if (!found.length) continue;
+      files.push({ file: rel(p), id: value.id, found });
+      if (!dryRun) writeJson(p, value);
+    }
+
+    return { dryRun, files, found: files.reduce((n, f) => n + f.found.length, 0) };
+  });
+}
@@ -0,0 +1,353 @@
+/**
+ * schemas.js — zod schemas for tool arguments and the files under .devctx/
+ *
+ * Single source of truth: toolsList's JSON schemas are generated from TOOL_ARGS,
+ * callTool parses every call against them, devctx_config_set checks the result
+ * against Config, and `devctx validate` checks stored files against the record
+ * schemas (Entry or SealedEntry, IndexFile, Decision, BranchManifest, Config).
+ */
+
+import { z } from "zod/v4";
+import { STEP_STATUS } from "./steps.js";
+import { DECISION_STATUS } from "./decisions.js";
+import { listTokenizers } from "./tokens.js";
+import { listProviders } from "./ai.js";
+
+// ─── Building blocks ──────────────────────────────────────────────────────────
+
+const strings = z.array(z.string());
+const nonEmpty = z.string().trim().min(1);
+const count = z.number().int().positive();
+const cwd = z.string().optional().describe("Repo path. Defaults to the client's workspace root, then process.cwd().");
+const branch = z.string().optional().describe("Defaults to current branch.");
+const allBranches = z.string().optional().describe("Limit to one branch. Defaults to all branches.");
+const entryId = z.string().optional().describe("Entry to use. Defaults to the branch's latest.");
+
+export const Approach = z.object({
+  description: nonEmpty,
+  failed: z.boolean().optional(),
+  reason: z.string().optional(),
+});
+
+/** Tool input may give an approach as a bare string; stored entries always hold objects. */
+const ApproachInput = z.union([nonEmpty.transform(description => ({ description })), Approach]);
+
+export const Step = z.object({
+  id: z.string().regex(/^st_[a-z0-9]+$/),
+  text: z.string(),
+  status: z.enum(STEP_STATUS),
+  completedAt: z.string().nullable(),
+  commit: z.string().nullable(),
+});
+
+// ─── Stored files ─────────────────────────────────────────────────────────────
+
+export const Entry = z.object({
+  id: z.string().regex(/^\d+_[a-z0-9]+$/),
+  timestamp: z.iso.datetime(),
+  branch: nonEmpty,
+  task: z.string(),
+  goal: z.string().nullable(),
+  state: z.string().nullable(),
+  approaches: z.array(Approach),
+  decisions: strings,
+  nextSteps: z.array(Step),
+  constraints: strings,
+  pinned: strings,
+  filesChanged: strings,
+  author: z.string().nullable(),
+  meta: z.record(z.string(), z.unknown()),
+  tokenCount: z.number().int().nonnegative(),
+  scope: z.literal("private").optional(),
+  revisions: z.array(z.object({
+    at: z.iso.datetime(),
+    author: z.string().nullable(),
+    changes: z.record(z.string(), z.unknown()),
+  })).optional(),
+});
+
+const keyId = z.string().regex(/^k_[0-9a-f]{8}$/);
+const stepCounts = z.object({
+  open: z.number().int(), inProgress: z.number().int(), done: z.number().int(),
+  dropped: z.number().int(), total: z.number().int(),
+});
+
+/** An encrypted entry file (see crypt.js): only what the index needs is in the clear. */
+export const SealedEntry = z.object({
+  id: z.string().regex(/^\d+_[a-z0-9]+$/),
+  timestamp: z.iso.datetime(),
+  branch: nonEmpty,
+  tokenCount: z.number().int().nonnegative(),
+  steps: stepCounts,
+  type: z.string().optional(),
+  mergedFrom: z.string().optional(),
+  scope: z.literal("private").optional(),
+  encrypted: z.object({
+    alg: z.literal("aes-256-gcm"),
+    keyId,
+    iv: z.base64(),
+    tag: z.base64(),
+    data: z.base64(),
+  }).strict(),
+}).strict();
+
+export const IndexFile = z.object({
+  entries: z.array(z.object({
+    id: z.string(),
+    timestamp: z.iso.datetime(),
+    task: z.string(),
+    tokenCount: z.number().int().nonnegative(),
+    steps: stepCounts,
+    type: z.string().optional(),
+    mergedFrom: z.string().optional(),
+    encrypted: z.literal(true).optional(),
+  })),
+});
+
+/** .devctx/decisions/<id>.json — one register record. */
+export const Decision = z.object({
+  id: z.string().regex(/^adr-(?:\d{4}|\d+_[a-z0-9]+)$/), // adr-0001 from before ids were time-based
+  title: nonEmpty,
+  reasoning: z.string().nullable(),
+  status: z.enum(DECISION_STATUS),
+  supersedes: z.string().nullable(),
+  supersededBy: z.string().nullable(),
+  scope: z.enum(["repo", "branch"]),
+  branch: z.string().nullable(),
+  entryId: z.string().nullable(),
+  author: z.string().nullable(),
+  createdAt: z.iso.datetime(),
+  updatedAt: z.iso.datetime(),
+  revokedReason: z.string().optional(),
+  mergedFrom: z.string().optional(),
+});
+
+/** .devctx/branches.json — real branch name → its directory under branches/. */
+export const BranchManifest = z.object({
+  branches: z.record(z.string().min(1), z.object({
+    dir: nonEmpty,
+    firstSeen: z.iso.datetime(),
+    merged: z.object({ into: nonEmpty, commit: z.string().nullable(), at: z.iso.datetime() }).optional(),
+  })),
+});
+
+const AiSettings = z.object({
+  provider: z.string().refine(p => listProviders().includes(p), { message: `Unknown provider. Known: ${listProviders().join(", ")}` }),
+  model: nonEmpty,
+  baseUrl: z.url(),
+  temperature: z.number().min(0).max(2),
+  timeoutMs: count,
+  retries: z.number().int().min(0).max(10),
+  backoffMs: z.number().int().nonnegative(),
+}).partial().strict();
+
+const regex = z.string().refine(p => { try { new RegExp(p); return true; } catch { return false; } }, "Not a valid regular expression");
+
+const RedactSettings = z.object({
+  enabled: z.boolean(),
+  entropy: z.boolean(),
+  patterns: z.array(z.union([regex, z.object({ name: nonEmpty, pattern: regex, flags: z.string().regex(/^[gimsuy]*$/).optional() }).strict()])),
+  allow: z.array(regex),
+}).partial().strict();
+
+/** .devctx/config.json — committed, so no secrets. Unknown keys are typos. */
+export const Config = z.object({
+  version: z.number().int().positive(),
+  createdAt: z.iso.datetime().optional(),
+  maxEntriesPerBranch: count.optional(),
+  maxCheckpointsPerBranch: z.number().int().nonnegative().optional(),
+  tokenizer: z.string().refine(t => listTokenizers().includes(t), { message: `Unknown tokenizer. Known: ${listTokenizers().join(", ")}` }).optional(),
+  packing: z.object({
+    fields: z.record(z.enum(["goal", "nextSteps", "decisions", "approaches", "constraints"]), z.number().nonnegative()),
+    recency: z.number().nonnegative(),
+    pinned: z.number().nonnegative(),
+    shorten: z.boolean(),
+    minShortenTokens: z.number().int().nonnegative(),
+  }).partial().strict().optional(),
+  gc: z.object({
+    maxAgeDays: z.number().positive(),
+    maxArchived: z.number().int().nonnegative(),
+  }).partial().strict().optional(),
+  ai: AiSettings.omit({ provider: true, baseUrl: true }).optional(), // where the user's key is sent is theirs to choose
+  redact: RedactSettings.optional(),
+  encryption: z.object({ keyId }).strict().optional(),
+}).strict();
+
+/** ~/.devctx/config.json — per user, never committed, so it may hold the AI key. */
+export const UserConfig = z.object({
+  ai: AiSettings.extend({ apiKey: nonEmpty.optional() }).optional(),
+}).strict();
+
+// ─── Tool arguments ───────────────────────────────────────────────────────────
+
+const tier = z.enum(["minimal", "standard", "full"]);
+const decisionScope = z.enum(["repo", "branch"]);
+const aiOverrides = {
+  aiApiKey: z.string().optional().describe("Key for the fallback provider when the client can't sample."),
+  aiBaseUrl: z.string().optional().describe("Endpoint for the fallback provider. Defaults to the configured one. Only aiApiKey is sent there, never a stored key."),
+};
+
+export const TOOL_ARGS = {
+  devctx_save: z.object({
+    task: nonEmpty.describe("What are you working on? One clear sentence."),
+    goal: z.string().optional().describe("Why? What problem does it solve?"),
+    state: z.string().optional().describe("Current state — what's done, what's in-progress, what's broken."),
+    approaches: z.array(ApproachInput).optional()
+      .describe("Approaches tried. IMPORTANT: Mark failed ones with failed:true and reason to prevent AI re-suggesting them."),
+    decisions: strings.optional().describe("Key decisions made (architectural, tech choices)."),
+    nextSteps: strings.optional()
+      .describe("Ordered next actions. Most important first. Open steps from the previous save carry forward automatically."),
+    constraints: strings.optional().describe("Hard limits AI must respect in future sessions."),
+    pinned: strings.optional()
+      .describe("Items (copied verbatim from the fields above) that must survive budget trimming at every tier."),
+    filesChanged: strings.optional().describe("Key files in scope. Auto-detected from git if omitted."),
+    scope: z.enum(["shared", "private"]).default("shared")
+      .describe("private = personal notes kept in .devctx/local/, never committed. Promote them with devctx_promote."),
+    encrypt: z.boolean().default(false)
+      .describe("Encrypt the entry with the repo key so only teammates holding it can read it (incident notes, customer names)."),
+    cwd,
+  }),
+  devctx_resume: z.object({
+    branch: z.string().optional().describe("Branch to restore. Defaults to current branch."),
+    id: z.string().optional().describe("Restore a specific entry by ID."),
+    tier: tier.default("standard").describe("Context detail level. Controls token usage."),
+    focus: z.string().optional().describe("Override the action section with a specific question."),
+    cwd,
+  }),
+  devctx_update: z.object({
+    id: entryId,
+    branch,
+    task: nonEmpty.optional(),
+    goal: z.string().optional(),
+    state: z.string().optional().describe("Replaces the current state."),
+    addDecisions: strings.optional(),
+    addNextSteps: strings.optional(),
+    removeNextSteps: strings.optional().describe("Step ids or exact text of steps to remove."),
+    addConstraints: strings.optional(),
+    failApproaches: z.array(z.object({ description: nonEmpty, reason: z.string().optional() })).optional()
+      .describe("Approaches to mark failed. Existing ones are matched by description; new ones are added."),
+    cwd,
+  }),
+  devctx_step: z.object({
+    step: nonEmpty.describe("Step id (st_…) or its exact text."),
+    status: z.enum(STEP_STATUS),
+    commit: z.string().optional().describe("Commit that completed the step."),
+    id: entryId,
+    branch,
+    cwd,
+  }),
+  devctx_log: z.object({
+    branch: z.string().optional(),
+    limit: count.default(10),
+    cwd,
+  }),
+  devctx_search: z.object({
+    query: nonEmpty.describe("Words to look for in task, goal, state, decisions, approaches, constraints and next steps."),
+    branch: allBranches,
+    limit: count.default(10),
+    archived: z.boolean().default(false).describe("Also search entries moved to the archive by devctx_gc."),
+    cwd,
+  }),
+  devctx_diff: z.object({ cwd }),
+  devctx_handoff: z.object({
+    to: nonEmpty.describe("Teammate name or @username."),
+    task: nonEmpty,
+    goal: z.string().optional(),
+    state: z.string().optional(),
+    approaches: z.array(ApproachInput).optional()
+      .describe("Approaches tried; use {description, failed: true, reason} for ones that didn't work."),
+    decisions: strings.optional(),
+    nextSteps: strings.optional(),
+    encrypt: z.boolean().default(false).describe("Encrypt the handoff with the repo key."),
+    cwd,
+  }),
+  devctx_share: z.object({ cwd }),
+  devctx_summarize: z.object({
+    n: count.default(8).describe("Commits to analyze."),
+    ...aiOverrides,
+    cwd,
+  }),
+  devctx_suggest: z.object({ ...aiOverrides, cwd }),
+  devctx_gc: z.object({
+    branch: allBranches,
+    dryRun: z.boolean().default(false),
+    maxAgeDays: z.number().positive().optional()
+      .describe("Also archive indexed entries older than this. The latest entry is always kept. Defaults to config gc.maxAgeDays."),
+    maxArchived: z.number().int().nonnegative().optional()
+      .describe("Keep at most this many archived entries per branch; older ones are deleted. Defaults to config gc.maxArchived."),
+    cwd,
+  }),
+  devctx_restore: z.object({
+    id: nonEmpty,
+    branch: z.string().optional().describe("Branch archive to look in. Defaults to all."),
+    cwd,
+  }),
+  devctx_promote: z.object({
+    id: nonEmpty.describe("Private entry to move into the shared, committed context."),
+    branch: z.string().optional().describe("Branch to look in. Defaults to all."),
+    cwd,
+  }),
+  devctx_merge: z.object({
+    source: nonEmpty.describe("Branch that was merged."),
+    target: z.string().optional().describe("Branch it was merged into. Defaults to the current branch."),
+    commit: z.string().optional().describe("The merge commit. Defaults to HEAD."),
+    encrypt: z.boolean().optional()
+      .describe("Seal the merge entry (true) or write it plain (false). Defaults to the target's visibility; refused when that would expose encrypted source context."),
+    cwd,
+  }),
+  devctx_init: z.object({ cwd }),
+  devctx_decision_add: z.object({
+    title: nonEmpty.describe("The decision, one sentence."),
+    reasoning: z.string().optional().describe("Why it was made."),
+    scope: decisionScope.optional()
+      .describe("repo = applies everywhere. Defaults to repo on the default branch, branch elsewhere."),
+    cwd,
+  }),
+  devctx_decision_supersede: z.object({
+    id: nonEmpty.describe("Decision to replace (adr-…)."),
+    title: nonEmpty,
+    reasoning: z.string().optional(),
+    scope: decisionScope.optional(),
+    cwd,
+  }),
+  devctx_decision_revoke: z.object({
+    id: nonEmpty,
+    reason: z.string().optional(),
+    cwd,
+  }),
+  devctx_decision_list: z.object({
+    status: z.enum(DECISION_STATUS).optional(),
+    branch: z.string().optional().describe("Only decisions that apply to this branch."),
+    cwd,
+  }),
+  devctx_config_set: z.object({
+    key: z.string().regex(/^[A-Za-z][\w]*(\.[A-Za-z][\w]*)*$/, "Expected a key like maxEntriesPerBranch or ai.provider"),
+    value: z.unknown().refine(v => v !== undefined, "Required"),
+    user: z.boolean().default(false)
+      .describe("Write ~/.devctx/config.json instead of the repo's (the only place ai.apiKey may go)."),
+    cwd,
+  }),
+  devctx_config_list: z.object({
+    user: z.boolean().default(false).describe("Show ~/.devctx/config.json instead."),
+    cwd,
+  }),
+};
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** JSON Schema for a tool's arguments, as MCP tools/list wants it. */
+export function toolInputSchema(name) {
+  const { $schema: _, ...schema } = z.toJSONSchema(TOOL_ARGS[name], { io: "input", unrepresentable: "any" });
+  return schema;
+}
+
+/** zod issues → [{ path: "nextSteps.0", message }] */
+export const issuesOf = (error) => error.issues.map(i => ({ path: i.path.join(".") || "(root)", message: i.message }));
+
+export const formatIssues = (issues) => issues.map(i => `${i.path}: ${i.message}`).join("; ");
+
+/** Parse `value` against `schema`. Returns { data } or { issues }. */
+export function check(schema, value) {
+  const r = schema.safeParse(value);
+  return r.success ? { data: r.data } : { issues: issuesOf(r.error) };
+}
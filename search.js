@@ -0,0 +1,119 @@
+/**
+ * search.js — Full-text search across every saved context entry
+ *
+ * Scans entry files on every branch (not just what index.json still lists,
+ * and optionally the gc archive), scores term hits per field, then boosts
+ * recent entries so that "did we already try X?" surfaces the latest answer first.
+ * Encrypted entries are searched when their key is in the keyring, skipped otherwise.
+ */
+
+import { loadAllEntries } from "./storage.js";
+import { loadAllArchived } from "./gc.js";
+import { open } from "./crypt.js";
+import { stepText } from "./steps.js";
+
+/** Field weights — a hit in the task line says more than one in a next step. */
+const FIELD_WEIGHT = {
+  task: 3,
+  goal: 2,
+  decisions: 2.5,
+  approaches: 2.5,
+  constraints: 2,
+  state: 1.5,
+  nextSteps: 1,
+};
+
+const SNIPPET_RADIUS = 60;
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+/** Lowercase word terms, de-duplicated. Single characters are noise. */
+export function tokenizeQuery(query) {
+  return [...new Set(String(query || "").toLowerCase().split(/[^\p{L}\p{N}_.-]+/u).filter(t => t.length > 1))];
+}
+
+/** Flatten an entry into searchable { field, text } pairs. */
+function fieldTexts(entry) {
+  const out = [];
+  for (const field of Object.keys(FIELD_WEIGHT)) {
+    const v = entry[field];
+    if (!v) continue;
+    const items = Array.isArray(v) ? v : [v];
+    for (const item of items) {
+      const text = field === "nextSteps" ? stepText(item)
+        : typeof item === "object"
+        ? `${item.failed ? "[failed] " : ""}${item.description || ""}${item.reason ? ` — ${item.reason}` : ""}`
+        : String(item);
+      if (text) out.push({ field, text });
+    }
+  }
+  return out;
+}
+
+/** Cut a window of text around the first hit. */
+function snippet(text, terms) {
+  const lower = text.toLowerCase();
+  const at = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i >= 0));
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(text.length, at + SNIPPET_RADIUS);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end).trim()}${end < text.length ? "…" : ""}`;
+}
+
+/** Score one entry. Returns null when nothing matched. */
+function scoreEntry(entry, terms, phrase, now) {
+  const matched = new Set();
+  const matches = [];
+  let score = 0;
+
+  for (const { field, text } of fieldTexts(entry)) {
+    const lower = text.toLowerCase();
+    const hits = terms.filter(t => lower.includes(t));
+    if (!hits.length) continue;
+    hits.forEach(t => matched.add(t));
+
+    let s = FIELD_WEIGHT[field] * hits.length;
+    if (phrase && terms.length > 1 && lower.includes(phrase)) s *= 2;
+    score += s;
+    matches.push({ field, snippet: snippet(text, hits), score: s });
+  }
+  if (!matches.length) return null;
+
+  // Entries that cover every term beat entries that hit one term many times
+  score *= matched.size / terms.length;
+
+  const ageDays = Math.max(0, (now - Date.parse(entry.timestamp || 0)) / 86_400_000);
+  score *= 1 + Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+
+  matches.sort((a, b) => b.score - a.score);
+  return {
+    id: entry.id,
+    branch: entry.branch,
+    timestamp: entry.timestamp,
+    task: entry.task,
+    score: Math.round(score * 100) / 100,
+    matches: matches.slice(0, 3).map(({ field, snippet }) => ({ field, snippet })),
+    ...(entry._archived ? { archived: true } : {}),
+  };
+}
+
+/**
+ * Search every entry on disk.
+ * @param {string} query  Free text. Terms are OR-ed; entries covering more terms rank higher.
+ * @param {{ branch?: string|null, limit?: number, archived?: boolean }} opts
+ */
+export function searchEntries(query, { branch = null, limit = 10, archived = false } = {}, cwd = process.cwd()) {
+  const terms = tokenizeQuery(query);
+  if (!terms.length) return [];
+  const phrase = String(query).toLowerCase().trim();
+  const now = Date.now();
+
+  const entries = loadAllEntries(branch, cwd);
+  if (archived) {
+    entries.push(...loadAllArchived(branch, cwd).map(open).filter(e => !e.locked).map(e => ({ ...e, _archived: true })));
+  }
+
+  return entries
+    .map(e => scoreEntry(e, terms, phrase, now))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || (b.timestamp || "").localeCompare(a.timestamp || ""))
+    .slice(0, limit);
+}
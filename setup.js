@@ -9,7 +9,7 @@
  *   node src/setup.js                    # auto-detect + interactive
  *   node src/setup.js --editor=cursor    # force specific editor
  *   node src/setup.js --path=/my/cfg.json # write to custom path
- *   node src/setup.js --http             # use HTTP transport instead of stdio
+ *   node src/setup.js --http             # use HTTP transport instead of stdio (writes the bearer token)
  *   node src/setup.js --print            # just print the config block, don't write
  */
 
@@ -19,6 +19,7 @@ import { homedir, platform } from "os";
 import { execSync } from "child_process";
 import { fileURLToPath } from "url";
 import { createInterface } from "readline";
+import { loadAuth } from "./auth.js";
 
 const __dir   = dirname(fileURLToPath(import.meta.url));
 const HOME    = homedir();
@@ -66,9 +67,14 @@ function stdioBlock(serverPath) {
   return { mcpServers: { devctx: { command: "node", args: [serverPath], env: {} } } };
 }
 
-/** HTTP/SSE transport block — for editors that prefer HTTP over stdio */
+/** Authorization header for the HTTP server. The token is created on first use in ~/.devctx. */
+function authHeaders() {
+  return { Authorization: `Bearer ${loadAuth().token}` };
+}
+
+/** Streamable HTTP transport block — for editors that prefer HTTP over stdio */
 function httpBlock(port = 3741) {
-  return { mcpServers: { devctx: { url: `http://localhost:${port}/sse` } } };
+  return { mcpServers: { devctx: { url: `http://localhost:${port}/mcp`, headers: authHeaders() } } };
 }
 
 /** Zed uses context_servers instead of mcpServers */
@@ -81,6 +87,14 @@ function vscodeBlock(serverPath) {
   return { servers: { devctx: { type: "stdio", command: "node", args: [serverPath] } } };
 }
 
+/** VS Code over HTTP. The token comes from an input prompt — this file is meant to be committed. */
+function vscodeHttpBlock(port = 3741) {
+  return {
+    inputs: [{ type: "promptString", id: "devctx-token", description: "devctx HTTP token (devctx token)", password: true }],
+    servers: { devctx: { type: "http", url: `http://localhost:${port}/mcp`, headers: { Authorization: "Bearer ${input:devctx-token}" } } },
+  };
+}
+
 /** Continue.dev config (goes in ~/.continue/config.json mcpServers array) */
 function continueBlock(serverPath) {
   return { mcpServers: [{ name: "devctx", command: "node", args: [serverPath] }] };
@@ -156,6 +170,7 @@ const EDITORS = [
       return join(HOME, ".config","Claude","claude_desktop_config.json");
     },
     block: () => stdioBlock(SERVER),
+    http: false, // config file only takes local commands
     note: "Restart Claude Desktop after setup.",
   },
   {
@@ -197,6 +212,7 @@ const EDITORS = [
       return join(HOME, ".config","zed","settings.json");
     },
     block: () => zedBlock(SERVER),
+    http: false,
     note: "Uses context_servers format. Restart Zed.",
   },
   {
@@ -211,6 +227,7 @@ const EDITORS = [
     // VS Code native MCP: per-project .vscode/mcp.json
     configPath: () => join(process.cwd(), ".vscode", "mcp.json"),
     block: () => vscodeBlock(SERVER),
+    http: (port) => vscodeHttpBlock(port),
     note: "Writes to .vscode/mcp.json in current project. Commit this file.",
   },
   {
@@ -297,14 +314,17 @@ const EDITORS = [
 
 // ─── Configure one editor ─────────────────────────────────────────────────────
 
-async function configureEditor(editor) {
+async function configureEditor(editor, { useHttp = false, port = 3741 } = {}) {
   // Custom configure function if defined
   if (editor.configure) {
     const path = editor.configure();
-    return { ok: true, path };
+    return { ok: true, path, transport: "stdio" };
   }
-  const path = applyConfig(editor.configPath(), editor.block());
-  return { ok: true, path };
+  // --http: URL + bearer token, for editors whose config takes one (editor.http === false → stdio)
+  const http = useHttp && editor.http !== false;
+  const block = http ? (editor.http ? editor.http(port) : httpBlock(port)) : editor.block();
+  const path = applyConfig(editor.configPath(), block);
+  return { ok: true, path, transport: http ? "http" : "stdio" };
 }
 
 // ─── Manual / custom editor flow ─────────────────────────────────────────────
@@ -332,7 +352,11 @@ async function configureCustomEditor() {
     console.log(`\n${c.b("1. Start the HTTP server:")}`);
     console.log(c.c(`  node ${HTTP_SERVER} --port=${port}`));
     console.log(`\n${c.b("2. Add this URL to your editor's MCP config:")}`);
-    console.log(c.c(`  http://localhost:${port}/sse`));
+    console.log(c.c(`  http://localhost:${port}/mcp`));
+    console.log(c.d(`  (Editors that only speak the older SSE transport: http://localhost:${port}/sse)`));
+    console.log(`\n${c.b("3. Send this header with every request:")}`);
+    console.log(c.c(`  Authorization: ${authHeaders().Authorization}`));
+    console.log(c.d(`  (Read-only token for resume/log/search: devctx token --read-only)`));
     console.log(`\nOr use the JSON block:`);
     console.log(JSON.stringify(httpBlock(parseInt(port)), null, 2));
     return;
@@ -406,10 +430,11 @@ async function main() {
       await configureCustomEditor();
       return;
     }
-    const r = await configureEditor(editor);
-    console.log(`${c.g("✅")} ${editor.name} configured`);
+    const r = await configureEditor(editor, { useHttp, port: httpPort });
+    console.log(`${c.g("✅")} ${editor.name} configured${useHttp && r.transport === "stdio" ? c.y(" (stdio — no HTTP support in its config)") : ""}`);
     console.log(`   ${c.d(r.path)}`);
     console.log(`   ${c.d(editor.note)}`);
+    if (r.transport === "http") console.log(`   Start HTTP server: ${c.c(`node ${HTTP_SERVER} --port=${httpPort}`)}`);
     return;
   }
 
@@ -435,9 +460,9 @@ async function main() {
   const results = [];
   for (const editor of detected) {
     try {
-      const r = await configureEditor(editor);
+      const r = await configureEditor(editor, { useHttp, port: httpPort });
       results.push({ name: editor.name, ok: true, path: r.path });
-      console.log(`${c.g("✅")} ${c.b(editor.name)}`);
+      console.log(`${c.g("✅")} ${c.b(editor.name)}${useHttp ? c.d(` (${r.transport})`) : ""}`);
       console.log(`   ${c.d(r.path)}`);
       console.log(`   ${c.d(editor.note)}\n`);
     } catch (e) {
@@ -461,6 +486,8 @@ async function main() {
     bad.forEach(r => console.log(`  ${r.name}: ${r.error}`));
   }
 
+  if (useHttp) console.log(`\nStart the HTTP server before opening your editor: ${c.c(`node ${HTTP_SERVER} --port=${httpPort}`)}`);
+
   console.log(`\n${c.b("Verify it works — type this in any configured editor:")}`);
   console.log(c.c(`  Use devctx_init`));
   console.log(`Expected: ${c.g('{ "ok": true, "msg": "Initialized .devctx/" }')}`);
@@ -0,0 +1,69 @@
+/**
+ * steps.js — Trackable next steps
+ *
+ * A step is { id, text, status, completedAt, commit }. Older entries (and tool
+ * input) use plain strings; every helper here accepts both shapes.
+ */
+
+export const STEP_STATUS = ["open", "in-progress", "done", "dropped"];
+
+const newStepId = () => `st_${Math.random().toString(36).slice(2, 8)}`;
+
+export const stepText = (s) => (typeof s === "object" && s ? s.text : String(s));
+
+/** Steps still to do — in-progress first, then open, each in stored order. */
+export function openSteps(steps = []) {
+  const norm = steps.map(s => typeof s === "object" ? s : { text: s, status: "open" });
+  return [
+    ...norm.filter(s => s.status === "in-progress"),
+    ...norm.filter(s => s.status === "open" || !s.status),
+  ];
+}
+
+/**
+ * Turn strings (or partial objects) into full step objects. `prior` lends its id
+ * to a step with the same text, and keeps it in-progress; a finished step that is
+ * listed again counts as reopened.
+ */
+export function normalizeSteps(steps = [], prior = []) {
+  const byText = new Map(prior.filter(p => typeof p === "object").map(p => [p.text, p]));
+  return steps.map(s => {
+    const text = stepText(s);
+    const known = byText.get(text);
+    const given = typeof s === "object" && s ? s : {};
+    return {
+      id: given.id || known?.id || newStepId(),
+      text,
+      status: STEP_STATUS.includes(given.status) ? given.status
+        : known?.status === "in-progress" ? "in-progress" : "open",
+      completedAt: given.completedAt ?? null,
+      commit: given.commit ?? null,
+    };
+  });
+}
+
+/** Open/in-progress steps from the previous entry that the new list doesn't already cover. */
+export function carryForward(steps, previous = []) {
+  const have = new Set(steps.flatMap(s => [s.id, s.text]));
+  const carried = normalizeSteps(openSteps(previous))
+    .filter(s => !have.has(s.id) && !have.has(s.text));
+  return [...steps, ...carried];
+}
+
+/** { open, inProgress, done, dropped, total } for a step list. */
+export function stepProgress(steps = []) {
+  const p = { open: 0, inProgress: 0, done: 0, dropped: 0, total: steps.length };
+  for (const s of steps) {
+    const status = typeof s === "object" ? s.status : "open";
+    if (status === "in-progress") p.inProgress++;
+    else if (status === "done") p.done++;
+    else if (status === "dropped") p.dropped++;
+    else p.open++;
+  }
+  return p;
+}
+
+/** Find a step by id, or by exact text as a fallback. */
+export function findStep(steps = [], ref) {
+  return steps.find(s => s.id === ref) || steps.find(s => stepText(s) === ref) || null;
+}
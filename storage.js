@@ -1,16 +1,203 @@
 /**
  * storage.js — Lean context persistence
- * Stores entries in .devctx/{branch}/{id}.json
+ * Stores entries in .devctx/branches/{encoded branch}/{id}.json
  * Branch-scoped so you never accidentally load wrong context.
+ * .devctx/branches.json maps real branch names to their directories.
+ * Private entries (scope: "private") live in .devctx/local/branches/…, which
+ * git ignores; reads merge both trees, private first on equal timestamps.
+ *
+ * Several editors and agents may save at once, so every write goes through a
+ * temp file + rename, and read-modify-write cycles hold .devctx/.lock.
+ * New and amended entries pass through redact.js first; .devctx/ is committed.
+ * Entries saved with encrypt: true are sealed by crypt.js and opened on read.
  */
 
-import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync } from "fs";
-import { join } from "path";
-import { countEntryTokens } from "./tokens.js";
+import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync, renameSync, rmSync, statSync } from "fs";
+import { join, dirname, basename } from "path";
+import { randomBytes } from "crypto";
+import { hostname } from "os";
+import { countEntryTokens, useConfig } from "./tokens.js";
+import { normalizeSteps, carryForward, stepProgress, findStep, stepText, STEP_STATUS } from "./steps.js";
+import { redactEntry, redactRules } from "./redact.js";
+import { seal, open, isSealed, hasKey, keyProblem, lockedMessage } from "./crypt.js";
+import { getDefaultBranch, branchExists, getMergeBase, countCommitsOn } from "./git.js";
 
 const DIR = ".devctx";
 
+/**
+ * Layout version of .devctx/, kept in config.json as `version`. Bump it with a
+ * new step in migrate.js whenever entries, indexes or paths change shape.
+ * Releases before 3 wrote the package version ("2.0.0") there.
+ */
+export const STORAGE_VERSION = 6;
+
+/** .devctx/.gitignore: plumbing and private context stay out of git, the rest is committed. */
+export const GITIGNORE = [".lock", "*.tmp", "*.corrupt-*", "local/"];
+
+/** Storage version a config was written with (legacy semver strings count by major). */
+export const formatVersion = (cfg) =>
+  typeof cfg?.version === "number" ? cfg.version : parseInt(cfg?.version, 10) || 2;
+
 export function devctxDir(cwd = process.cwd()) { return join(cwd, DIR); }
+
+/** Entry scopes in merge order: private wins ties. Shared entries carry no `scope` field. */
+export const SCOPES = ["private", "shared"];
+
+export const scopeOf = (entry) => entry?.scope === "private" ? "private" : "shared";
+
+/** Root holding a scope's branches/: .devctx/ (committed) or .devctx/local/ (never committed). */
+export function scopeDir(scope = "shared", cwd = process.cwd()) {
+  return scope === "private" ? join(devctxDir(cwd), "local") : devctxDir(cwd);
+}
+
+/** Create .devctx/local/ with a .gitignore of its own, so it stays out of git in repos initialized before it existed. */
+function ensureLocal(cwd) {
+  const dir = scopeDir("private", cwd);
+  mkdirSync(dir, { recursive: true });
+  if (!existsSync(join(dir, ".gitignore"))) writeAtomic(join(dir, ".gitignore"), "*\n");
+}
+
+// ─── Atomic writes & locking ──────────────────────────────────────────────────
+
+/** Write through a temp file + rename, so no reader ever sees half a file. */
+export function writeAtomic(p, data) {
+  const tmp = `${p}.${process.pid}.${randomBytes(4).toString("hex")}.tmp`;
+  try {
+    writeFileSync(tmp, data);
+    renameSync(tmp, p);
+  } catch (e) {
+    rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+export const writeJson = (p, data) => writeAtomic(p, JSON.stringify(data, null, 2));
+
+const LOCK_STALE_MS = 10_000;
+const LOCK_WAIT_MS = 5_000;
+const held = new Set();
+
+const sleepSync = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+/** A lock is stale when its owner on this host is gone, or it is older than LOCK_STALE_MS. */
+function lockIsStale(p) {
+  try {
+    const { pid, host, at } = JSON.parse(readFileSync(p, "utf8"));
+    if (Date.now() - Date.parse(at) > LOCK_STALE_MS) return true;
+    if (host !== hostname()) return false;
+    try { process.kill(pid, 0); return false; } catch (e) { return e.code === "ESRCH"; }
+  } catch {
+    // Just created and not written yet, or garbage: judge by age
+    try { return Date.now() - statSync(p).mtimeMs > LOCK_STALE_MS; } catch { return false; }
+  }
+}
+
+function acquire(p) {
+  mkdirSync(dirname(p), { recursive: true });
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      writeFileSync(p, JSON.stringify({ pid: process.pid, host: hostname(), at: new Date().toISOString() }), { flag: "wx" });
+      return;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+    if (lockIsStale(p)) { rmSync(p, { force: true }); continue; }
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${p}. If no devctx is running, delete it.`);
+    sleepSync(20 + Math.random() * 30);
+  }
+}
+
+function release(p) {
+  try {
+    if (JSON.parse(readFileSync(p, "utf8")).pid === process.pid) rmSync(p, { force: true });
+  } catch { /* already gone or taken over as stale */ }
+}
+
+/** Run `fn` holding the repo's .devctx/.lock (re-entrant within a process). */
+export function withLock(cwd, fn) {
+  const p = join(devctxDir(cwd), ".lock");
+  if (held.has(p)) return fn();
+  acquire(p);
+  held.add(p);
+  try {
+    return fn();
+  } finally {
+    held.delete(p);
+    release(p);
+  }
+}
+export function branchDir(branch, cwd = process.cwd(), scope = "shared") {
+  return join(scopeDir(scope, cwd), "branches", encodeBranch(branch));
+}
+
+// ─── Branch names ─────────────────────────────────────────────────────────────
+
+/**
+ * Branch name → directory name, reversibly. Letters, digits, '.' and '-' stay;
+ * every other UTF-8 byte (including '_' and '/') and a leading '.' become _xx.
+ * feat/login → feat_2flogin, feat_login → feat_5flogin.
+ */
+export function encodeBranch(name) {
+  return [...Buffer.from(name, "utf8")].map((b, i) => {
+    const c = String.fromCharCode(b);
+    return /[a-zA-Z0-9.-]/.test(c) && !(i === 0 && c === ".") ? c : `_${b.toString(16).padStart(2, "0")}`;
+  }).join("");
+}
+
+export function decodeBranch(dir) {
+  const bytes = [];
+  for (let i = 0; i < dir.length; i++) {
+    const hex = dir[i] === "_" && /^[0-9a-f]{2}$/.test(dir.slice(i + 1, i + 3)) ? dir.slice(i + 1, i + 3) : null;
+    if (hex) { bytes.push(parseInt(hex, 16)); i += 2; }
+    else bytes.push(...Buffer.from(dir[i], "utf8"));
+  }
+  return Buffer.from(bytes).toString("utf8");
+}
+
+const manifestPath = (cwd) => join(devctxDir(cwd), "branches.json");
+
+/** { [branch]: { dir, firstSeen, merged? } } from .devctx/branches.json. */
+export function loadManifest(cwd = process.cwd()) {
+  const p = manifestPath(cwd);
+  return existsSync(p) ? JSON.parse(readFileSync(p, "utf8")).branches || {} : {};
+}
+
+export function saveManifest(branches, cwd = process.cwd()) {
+  const sorted = Object.fromEntries(Object.entries(branches).sort(([a], [b]) => a.localeCompare(b)));
+  writeJson(manifestPath(cwd), { branches: sorted });
+}
+
+/**
+ * Record that `branch` got context at `at`, adding it to the manifest the first
+ * time. Later saves leave the file alone: it is committed, and a timestamp every
+ * branch rewrites would conflict on every merge.
+ */
+export function touchBranch(branch, cwd = process.cwd(), at = new Date().toISOString()) {
+  withLock(cwd, () => {
+    const branches = loadManifest(cwd);
+    const b = branches[branch];
+    if (b && b.firstSeen <= at) return;
+    if (b) b.firstSeen = at;
+    else branches[branch] = { dir: encodeBranch(branch), firstSeen: at };
+    saveManifest(branches, cwd);
+  });
+}
+
+/** Record that `branch` was merged: { into, commit, at }. */
+export function markMerged(branch, merged, cwd = process.cwd()) {
+  withLock(cwd, () => {
+    const branches = loadManifest(cwd);
+    const b = branches[branch] ||= { dir: encodeBranch(branch), firstSeen: merged.at };
+    b.merged = merged;
+    saveManifest(branches, cwd);
+  });
+}
+
+/** Real branch name for a directory under branches/. */
+export function branchName(dir, cwd = process.cwd(), manifest = loadManifest(cwd)) {
+  return Object.keys(manifest).find(b => manifest[b].dir === dir) ?? decodeBranch(dir);
+}
 export function isInitialized(cwd = process.cwd()) {
   return existsSync(join(cwd, DIR, "config.json"));
 }
@@ -19,33 +206,129 @@ export function initRepo(cwd = process.cwd()) {
   const dir = devctxDir(cwd);
   if (existsSync(join(dir, "config.json"))) return { created: false };
   mkdirSync(dir, { recursive: true });
-  writeFileSync(join(dir, "config.json"), JSON.stringify({
-    version: "2.0.0", createdAt: new Date().toISOString(), maxEntriesPerBranch: 20
-  }, null, 2));
-  writeFileSync(join(dir, ".gitkeep"), "");
-  // Intentionally NOT gitignoring — context should be committed
+  writeJson(join(dir, "config.json"), {
+    version: STORAGE_VERSION, createdAt: new Date().toISOString(), maxEntriesPerBranch: 20
+  });
+  writeAtomic(join(dir, ".gitkeep"), "");
+  writeAtomic(join(dir, ".gitignore"), GITIGNORE.map(l => `${l}\n`).join(""));
   return { created: true };
 }
 
+/** config.json, or null before init. Throws for a layout newer than this devctx can read. */
 export function loadConfig(cwd = process.cwd()) {
   const p = join(devctxDir(cwd), "config.json");
-  return existsSync(p) ? JSON.parse(readFileSync(p, "utf8")) : null;
+  if (!existsSync(p)) return null;
+  const cfg = JSON.parse(readFileSync(p, "utf8"));
+  if (formatVersion(cfg) > STORAGE_VERSION) {
+    throw new Error(`.devctx/ uses storage version ${formatVersion(cfg)}, but this devctx only reads up to ${STORAGE_VERSION}. Upgrade devctx (npm i -g devctx) to use it.`);
+  }
+  return cfg;
 }
 
 export function saveConfig(cfg, cwd = process.cwd()) {
-  writeFileSync(join(devctxDir(cwd), "config.json"), JSON.stringify(cfg, null, 2));
+  writeJson(join(devctxDir(cwd), "config.json"), cfg);
 }
 
-/** Save a context entry. Returns the saved entry with id + tokenCount. */
+// ─── Branch index ─────────────────────────────────────────────────────────────
+
+/** Index row for a stored entry. A sealed one shows no task, only what seal() left in the clear. */
+export const indexRow = (e) => isSealed(e)
+  ? { id: e.id, timestamp: e.timestamp, task: "", tokenCount: e.tokenCount, steps: e.steps,
+    ...(e.type ? { type: e.type } : {}), ...(e.mergedFrom ? { mergedFrom: e.mergedFrom } : {}), encrypted: true }
+  : {
+    id: e.id, timestamp: e.timestamp, task: e.task, tokenCount: e.tokenCount, steps: stepProgress(e.nextSteps),
+    ...(e.meta?.type ? { type: e.meta.type } : {}),
+    ...(e.meta?.mergedFrom ? { mergedFrom: e.meta.mergedFrom } : {}),
+  };
+
+const isCheckpoint = (row) => row.type === "checkpoint";
+const isEntryFile = (f) => f.endsWith(".json") && f !== "index.json";
+
+/**
+ * Enforce max entries per branch. Hook checkpoints have their own cap so a
+ * run of commits can't push the last real save out of the index.
+ */
+function trimIndex(rows, cfg) {
+  const max = cfg?.maxEntriesPerBranch || 20;
+  const maxCheckpoints = cfg?.maxCheckpointsPerBranch ?? 5;
+  const keep = new Set([
+    ...rows.filter(e => !isCheckpoint(e)).slice(0, max),
+    ...rows.filter(isCheckpoint).slice(0, maxCheckpoints),
+  ]);
+  return rows.filter(e => keep.has(e));
+}
+
+function parseIndex(p) {
+  try {
+    const index = JSON.parse(readFileSync(p, "utf8"));
+    return Array.isArray(index?.entries) ? index : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Recreate a branch's index.json from its entry files, newest first and trimmed
+ * like a save would. A corrupt index is kept aside as index.json.corrupt-<time>.
+ */
+export function rebuildIndex(dir, cwd = process.cwd()) {
+  return withLock(cwd, () => {
+    const p = join(dir, "index.json");
+    if (existsSync(p)) {
+      const aside = `${p}.corrupt-${Date.now()}`;
+      renameSync(p, aside);
+      console.error(`[devctx] ${p} was unreadable; rebuilt it from entry files (old copy: ${aside})`);
+    }
+    const rows = (existsSync(dir) ? readdirSync(dir) : []).filter(isEntryFile).flatMap(f => {
+      try { return [indexRow(JSON.parse(readFileSync(join(dir, f), "utf8")))]; } catch { return []; }
+    }).sort((a, b) => (b.timestamp || "").localeCompare(a.timestamp || ""));
+    const index = { entries: trimIndex(rows, loadConfig(cwd)) };
+    if (rows.length) writeJson(p, index);
+    return index;
+  });
+}
+
+/** A branch directory's index. Missing (with entry files present) or unparseable → rebuilt. */
+export function readIndex(dir, cwd = process.cwd()) {
+  const p = join(dir, "index.json");
+  const index = parseIndex(p);
+  if (index) return index;
+  if (!existsSync(p) && !(existsSync(dir) && readdirSync(dir).some(isEntryFile))) return { entries: [] };
+  return withLock(cwd, () => parseIndex(p) || rebuildIndex(dir, cwd));
+}
+
+/**
+ * Save a context entry. Returns the saved entry with id + tokenCount, secrets
+ * redacted (meta.redacted lists what was cut). Open steps from the branch's previous entry carry forward unless entry.carrySteps === false.
+ * entry.scope === "private" writes to .devctx/local/.
+ * entry.encrypt seals it under the repo key and throws when there is none in the keyring.
+ */
 export function saveContext(entry, cwd = process.cwd()) {
   if (!isInitialized(cwd)) initRepo(cwd);
+  return withLock(cwd, () => writeNewEntry(entry, cwd));
+}
 
-  const branch = (entry.branch || "main").replace(/[^a-zA-Z0-9._-]/g, "_");
-  const branchDir = join(devctxDir(cwd), "branches", branch);
-  mkdirSync(branchDir, { recursive: true });
+function writeNewEntry(entry, cwd) {
+  const cfg = loadConfig(cwd);
+  useConfig(cfg);
+  if (entry.encrypt && keyProblem(cfg)) throw new Error(keyProblem(cfg));
+
+  const scope = scopeOf(entry);
+  if (scope === "private") ensureLocal(cwd);
+  const dir = branchDir(entry.branch || "main", cwd, scope);
+  mkdirSync(dir, { recursive: true });
+
+  // Steps never carry from a private or encrypted entry into one more people can read
+  const last = loadLatest(entry.branch || "main", cwd, { scope: scope === "private" ? null : "shared" });
+  const previous = (last?.encrypted && !entry.encrypt ? null : last?.nextSteps) || [];
+  // The first save on a branch records where it came from; later ones copy that forward
+  const newest = loadLatest(entry.branch || "main", cwd, { includeCheckpoints: true });
+  const parentBranch = newest ? newest.meta?.parentBranch : parentOf(entry.branch || "main", cwd)?.branch;
+  let nextSteps = normalizeSteps(entry.nextSteps || [], previous);
+  if (entry.carrySteps !== false) nextSteps = carryForward(nextSteps, previous);
 
   const id = `${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
-  const full = {
+  const draft = {
     id,
     timestamp: new Date().toISOString(),
     branch: entry.branch || "main",
@@ -54,61 +337,329 @@ export function saveContext(entry, cwd = process.cwd()) {
     state: entry.state || null,
     approaches: entry.approaches || [],
     decisions: entry.decisions || [],
-    nextSteps: entry.nextSteps || [],
+    nextSteps,
     constraints: entry.constraints || [],
+    pinned: entry.pinned || [],
     filesChanged: entry.filesChanged || [],
     author: entry.author || null,
-    meta: entry.meta || {},
+    meta: { ...(parentBranch ? { parentBranch } : {}), ...entry.meta },
     tokenCount: 0,
+    ...(scope === "private" ? { scope } : {}),
+    ...(entry.encrypt ? { encrypted: { keyId: cfg.encryption.keyId } } : {}),
   };
+  const { entry: full } = redactEntry(draft, redactRules(cfg));
   full.tokenCount = countEntryTokens(full);
 
-  writeFileSync(join(branchDir, `${id}.json`), JSON.stringify(full, null, 2));
+  // Index first: rebuilding a missing one must not pick up the new file twice
+  const index = readIndex(dir, cwd);
+  const stored = toDisk(full, cfg);
+  writeJson(join(dir, `${id}.json`), stored);
+  index.entries = trimIndex([indexRow(stored), ...index.entries], cfg);
+  writeJson(join(dir, "index.json"), index);
+  if (scope === "shared") touchBranch(full.branch, cwd, full.timestamp);
+  return full;
+}
 
-  // Maintain index for this branch
-  const indexPath = join(branchDir, "index.json");
-  const index = existsSync(indexPath) ? JSON.parse(readFileSync(indexPath, "utf8")) : { entries: [] };
-  index.entries.unshift({ id, timestamp: full.timestamp, task: full.task, tokenCount: full.tokenCount });
+/** A branch's index rows from both scopes (or one), newest first. Private rows are tagged scope: "private". */
+function branchRows(branch, cwd, scope = null) {
+  return (scope ? [scope] : SCOPES)
+    .flatMap(s => readIndex(branchDir(branch, cwd, s), cwd).entries.map(e => s === "private" ? { ...e, scope: s } : e))
+    .sort((a, b) => (b.timestamp || "").localeCompare(a.timestamp || ""));
+}
 
-  // Enforce max entries per branch
-  const cfg = loadConfig(cwd);
-  const max = cfg?.maxEntriesPerBranch || 20;
-  index.entries = index.entries.slice(0, max);
+/**
+ * Latest full save on a branch, private or shared. Checkpoints only count when
+ * `includeCheckpoints` is set; `scope` limits the search to one tree. With
+ * `inherit`, a branch with nothing saved falls back along its lineage (see inheritLatest).
+ */
+export function loadLatest(branch, cwd = process.cwd(), { includeCheckpoints = false, scope = null, inherit = false } = {}) {
+  const row = branchRows(branch, cwd, scope).find(e => includeCheckpoints || !isCheckpoint(e));
+  if (!row) return inherit ? inheritLatest(branch, cwd, { includeCheckpoints, scope }) : null;
+  return loadById(row.id, branch, cwd);
+}
 
-  writeFileSync(indexPath, JSON.stringify(index, null, 2));
-  return full;
+/** Every full save on a branch (checkpoints left out), newest first; `scope` limits it to one tree. */
+export function loadSaves(branch, cwd = process.cwd(), { scope = null } = {}) {
+  return branchRows(branch, cwd, scope).filter(e => !isCheckpoint(e))
+    .map(e => loadById(e.id, branch, cwd)).filter(Boolean);
 }
 
-export function loadLatest(branch, cwd = process.cwd()) {
-  const branchDir = join(devctxDir(cwd), "branches", branch.replace(/[^a-zA-Z0-9._-]/g, "_"));
-  const indexPath = join(branchDir, "index.json");
-  if (!existsSync(indexPath)) return null;
-  const index = JSON.parse(readFileSync(indexPath, "utf8"));
-  if (!index.entries.length) return null;
-  return loadById(index.entries[0].id, branch, cwd);
+// ─── Lineage ──────────────────────────────────────────────────────────────────
+
+const MAX_LINEAGE = 5;
+
+/**
+ * Branch with context that `branch` was most likely cut from: the fewest commits
+ * on `branch` since their merge-base, then the fewest on the candidate. Branches
+ * cut from `branch` itself don't count. null outside git or with no candidates.
+ */
+function closestBase(branch, cwd) {
+  if (!branchExists(branch, cwd)) return null;
+  let best = null;
+  for (const candidate of listBranches(cwd)) {
+    if (candidate === branch || !branchExists(candidate, cwd)) continue;
+    const base = getMergeBase(branch, candidate, cwd);
+    if (!base) continue;
+    const since = countCommitsOn(base, branch, cwd);
+    const ahead = countCommitsOn(base, candidate, cwd);
+    if (since === 0 && ahead > 0) continue;
+    if (!best || since < best.since || (since === best.since && ahead < best.ahead)) best = { branch: candidate, since, ahead };
+  }
+  return best?.branch || null;
 }
 
+/**
+ * Where `branch` gets context from when it has none: the parent its first save
+ * recorded (meta.parentBranch), else the closest merge-base, else the default
+ * branch. Returns { branch, via: "recorded" | "merge-base" | "default" }, or null
+ * for the default branch itself.
+ */
+export function parentOf(branch, cwd = process.cwd()) {
+  const recorded = loadLatest(branch, cwd, { includeCheckpoints: true })?.meta?.parentBranch;
+  if (recorded && recorded !== branch) return { branch: recorded, via: "recorded" };
+  const fallback = getDefaultBranch(cwd);
+  if (branch === fallback) return null;
+  const base = closestBase(branch, cwd);
+  return base ? { branch: base, via: "merge-base" } : { branch: fallback, via: "default" };
+}
+
+/**
+ * Latest entry up `branch`'s lineage, marked inherited: { into, via, path } so
+ * prompts can say where it came from. Such an entry must not be written back as is.
+ */
+function inheritLatest(branch, cwd, opts) {
+  const path = [branch];
+  for (let i = 0; i < MAX_LINEAGE; i++) {
+    const parent = parentOf(path.at(-1), cwd);
+    if (!parent || path.includes(parent.branch)) return null;
+    path.push(parent.branch);
+    const entry = loadLatest(parent.branch, cwd, opts);
+    if (entry) return { ...entry, inherited: { into: branch, via: parent.via, path } };
+  }
+  return null;
+}
+
+/** An entry by id, decrypted when sealed (locked: true without the key). */
 export function loadById(id, branch, cwd = process.cwd()) {
-  const branchDir = join(devctxDir(cwd), "branches", branch.replace(/[^a-zA-Z0-9._-]/g, "_"));
-  const p = join(branchDir, `${id}.json`);
-  return existsSync(p) ? JSON.parse(readFileSync(p, "utf8")) : null;
+  for (const scope of SCOPES) {
+    const p = join(branchDir(branch, cwd, scope), `${id}.json`);
+    if (existsSync(p)) return open(JSON.parse(readFileSync(p, "utf8")));
+  }
+  return null;
 }
 
-export function listEntries(branch = null, limit = 10, cwd = process.cwd()) {
-  const base = join(devctxDir(cwd), "branches");
-  if (!existsSync(base)) return [];
+/** An entry as written to disk: sealed when encrypted, under the repo key or, when that isn't here, its own. */
+function toDisk(entry, cfg) {
+  if (!entry.encrypted) return entry;
+  const active = cfg?.encryption?.keyId;
+  return seal(entry, hasKey(active) ? active : entry.encrypted.keyId);
+}
+
+/** Rewrite an existing entry file and keep its index row in sync. */
+function writeEntry(entry, cwd) {
+  const dir = branchDir(entry.branch || "main", cwd, scopeOf(entry));
+  const stored = toDisk(entry, loadConfig(cwd));
+  writeJson(join(dir, `${entry.id}.json`), stored);
+
+  const index = readIndex(dir, cwd);
+  const i = index.entries.findIndex(e => e.id === entry.id);
+  if (i < 0) return;
+  index.entries[i] = indexRow(stored);
+  writeJson(join(dir, "index.json"), index);
+}
+
+/**
+ * Amend an entry in place. Every applied change is recorded as a revision,
+ * so history survives and resume can show what moved since it last ran.
+ *
+ * patch: { task, goal, state, addDecisions, addNextSteps, removeNextSteps,
+ *          addConstraints, failApproaches: [{ description, reason }],
+ *          setSteps: [{ step, status, commit }], author }
+ * Steps are referenced by id or exact text.
+ * Returns the updated entry, or null when the entry doesn't exist.
+ */
+export function updateContext(id, branch, patch, cwd = process.cwd()) {
+  return withLock(cwd, () => applyPatch(id, branch, patch, cwd));
+}
 
-  const branches = branch
-    ? [branch.replace(/[^a-zA-Z0-9._-]/g, "_")]
-    : readdirSync(base).filter(d => existsSync(join(base, d, "index.json")));
+function applyPatch(id, branch, patch, cwd) {
+  const entry = loadById(id, branch, cwd);
+  if (!entry) return null;
+  if (entry.locked) throw new Error(lockedMessage(entry));
+  useConfig(loadConfig(cwd));
+  entry.nextSteps = normalizeSteps(entry.nextSteps || []);
 
+  const changes = {};
+  for (const key of ["task", "goal", "state"]) {
+    if (patch[key] == null || patch[key] === entry[key]) continue;
+    changes[key] = { from: entry[key], to: patch[key] };
+    entry[key] = patch[key];
+  }
+
+  // Newest first, as the packer's recency weighting expects (see tokens.js)
+  const prepend = (field, items, op) => {
+    const fresh = (items || []).filter(i => !entry[field].includes(i));
+    if (!fresh.length) return;
+    entry[field] = [...fresh, ...entry[field]];
+    changes[op] = fresh;
+  };
+  prepend("decisions", patch.addDecisions, "addDecisions");
+  prepend("constraints", patch.addConstraints, "addConstraints");
+
+  const newSteps = (patch.addNextSteps || []).filter(t => !findStep(entry.nextSteps, stepText(t)));
+  if (newSteps.length) {
+    entry.nextSteps = [...entry.nextSteps, ...normalizeSteps(newSteps)];
+    changes.addNextSteps = newSteps.map(stepText);
+  }
+
+  if (patch.removeNextSteps?.length) {
+    const gone = patch.removeNextSteps.map(ref => findStep(entry.nextSteps, ref)).filter(Boolean);
+    if (gone.length) {
+      entry.nextSteps = entry.nextSteps.filter(s => !gone.includes(s));
+      changes.removeNextSteps = gone.map(s => s.text);
+    }
+  }
+
+  const moved = [];
+  for (const { step, status, commit } of patch.setSteps || []) {
+    const s = findStep(entry.nextSteps, step);
+    if (!s || !STEP_STATUS.includes(status)) continue;
+    if (s.status === status && (commit == null || s.commit === commit)) continue;
+    moved.push({ id: s.id, text: s.text, from: s.status, to: status });
+    s.status = status;
+    s.completedAt = status === "done" ? new Date().toISOString() : null;
+    if (commit != null) s.commit = commit;
+  }
+  if (moved.length) changes.setSteps = moved;
+
+  if (patch.failApproaches?.length) {
+    const failed = [];
+    for (const f of patch.failApproaches) {
+      const a = typeof f === "string" ? { description: f } : f;
+      const i = entry.approaches.findIndex(x => (typeof x === "object" ? x.description : x) === a.description);
+      const next = { description: a.description, failed: true, ...(a.reason ? { reason: a.reason } : {}) };
+      if (i >= 0) entry.approaches[i] = { ...(typeof entry.approaches[i] === "object" ? entry.approaches[i] : {}), ...next };
+      else entry.approaches.unshift(next);
+      failed.push(next);
+    }
+    changes.failApproaches = failed;
+  }
+
+  if (!Object.keys(changes).length) return entry;
+
+  entry.revisions = [
+    ...(entry.revisions || []),
+    { at: new Date().toISOString(), author: patch.author || null, changes },
+  ];
+  const { entry: clean } = redactEntry(entry, redactRules(loadConfig(cwd)));
+  clean.tokenCount = countEntryTokens(clean);
+  writeEntry(clean, cwd);
+  return clean;
+}
+
+// When this clone last resumed each entry lives in .devctx/local/resumed.json,
+// never in the entry: a read must not dirty the committed tree, and every
+// teammate has their own "since".
+const MAX_RESUME_MARKS = 200;
+const resumedPath = (cwd) => join(scopeDir("private", cwd), "resumed.json");
+
+function readResumed(cwd) {
+  try { return JSON.parse(readFileSync(resumedPath(cwd), "utf8")); } catch { return {}; }
+}
+
+/** Copy of `entry` with lastResumedAt: when this clone last resumed it, or null. */
+export const withLastResumed = (entry, cwd = process.cwd()) =>
+  ({ ...entry, lastResumedAt: readResumed(cwd)[entry.id] || null });
+
+/** Remember when an entry was last resumed, so the next resume can show what changed since. */
+export function markResumed(entry, cwd = process.cwd()) {
+  withLock(cwd, () => {
+    ensureLocal(cwd);
+    const marks = { ...readResumed(cwd), [entry.id]: new Date().toISOString() };
+    const newest = Object.entries(marks).sort((a, b) => b[1].localeCompare(a[1])).slice(0, MAX_RESUME_MARKS);
+    writeJson(resumedPath(cwd), Object.fromEntries(newest));
+  });
+  return entry;
+}
+
+/**
+ * Move a private entry into the shared tree (same id), redacting it again on the
+ * way since it is about to be committed. `branch` narrows the lookup.
+ * Returns the shared entry, or null when there is no private entry `id`.
+ */
+export function promoteEntry(id, branch = null, cwd = process.cwd()) {
+  return withLock(cwd, () => {
+    const base = join(scopeDir("private", cwd), "branches");
+    const from = (branch ? [branchDir(branch, cwd, "private")] : existsSync(base) ? readdirSync(base).map(d => join(base, d)) : [])
+      .find(d => existsSync(join(d, `${id}.json`)));
+    if (!from) return null;
+
+    const cfg = loadConfig(cwd);
+    useConfig(cfg);
+    const { scope: _, ...draft } = open(JSON.parse(readFileSync(join(from, `${id}.json`), "utf8")));
+    if (draft.locked) throw new Error(lockedMessage(draft));
+    const { entry, found } = redactEntry(draft, redactRules(cfg));
+    if (found.length) entry.tokenCount = countEntryTokens(entry);
+
+    const dir = branchDir(entry.branch || "main", cwd);
+    mkdirSync(dir, { recursive: true });
+    const index = readIndex(dir, cwd);
+    const stored = toDisk(entry, cfg);
+    writeJson(join(dir, `${id}.json`), stored);
+    index.entries = trimIndex([indexRow(stored), ...index.entries.filter(e => e.id !== id)]
+      .sort((a, b) => (b.timestamp || "").localeCompare(a.timestamp || "")), cfg);
+    writeJson(join(dir, "index.json"), index);
+    touchBranch(entry.branch || "main", cwd, entry.timestamp);
+
+    const local = readIndex(from, cwd);
+    local.entries = local.entries.filter(e => e.id !== id);
+    writeJson(join(from, "index.json"), local);
+    rmSync(join(from, `${id}.json`));
+    return entry;
+  });
+}
+
+/** Every branch directory on disk, both scopes. */
+function allBranchDirs(cwd) {
+  return SCOPES.flatMap(scope => {
+    const base = join(scopeDir(scope, cwd), "branches");
+    return existsSync(base) ? readdirSync(base).map(d => join(base, d)) : [];
+  });
+}
+
+/** Real names of the branches with an index or entries on disk, private or shared. */
+export function listBranches(cwd = process.cwd()) {
+  const manifest = loadManifest(cwd);
+  const dirs = allBranchDirs(cwd)
+    .filter(d => existsSync(join(d, "index.json")) || readdirSync(d).some(isEntryFile))
+    .map(d => basename(d));
+  return [...new Set(dirs)].map(d => branchName(d, cwd, manifest));
+}
+
+export function listEntries(branch = null, limit = 10, cwd = process.cwd()) {
   const all = [];
-  for (const b of branches) {
-    const idx = join(base, b, "index.json");
-    if (!existsSync(idx)) continue;
-    const { entries } = JSON.parse(readFileSync(idx, "utf8"));
-    entries.forEach(e => all.push({ ...e, branch: b }));
+  for (const b of branch ? [branch] : listBranches(cwd)) {
+    branchRows(b, cwd).forEach(e => all.push({ ...e, branch: b }));
   }
 
-  return all.sort((a, b) => b.timestamp.localeCompare(a.timestamp)).slice(0, limit);
+  // Key holders see the task of encrypted rows; the index itself never holds it
+  return all.sort((a, b) => b.timestamp.localeCompare(a.timestamp)).slice(0, limit)
+    .map(e => e.encrypted ? { ...e, task: loadById(e.id, e.branch, cwd)?.task || "" } : e);
+}
+
+/** Every entry file on disk — indexed or not, private or shared — optionally limited to one branch. */
+export function loadAllEntries(branch = null, cwd = process.cwd()) {
+  const dirs = branch ? SCOPES.map(s => branchDir(branch, cwd, s)) : allBranchDirs(cwd);
+  const all = [];
+  for (const dir of dirs) {
+    if (!existsSync(dir)) continue;
+    for (const f of readdirSync(dir)) {
+      if (!isEntryFile(f)) continue;
+      try {
+        const entry = open(JSON.parse(readFileSync(join(dir, f), "utf8")));
+        if (!entry.locked) all.push(entry);
+      } catch { /* skip unreadable entry */ }
+    }
+  }
+  return all;
 }
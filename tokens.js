@@ -1,20 +1,75 @@
 /**
  * tokens.js — Token counting & budget management
  *
- * Approximation: 1 token ≈ 4 chars (OpenAI/Anthropic rule of thumb).
- * Accurate enough for budgeting. No tiktoken dependency needed.
+ * Counting goes through a pluggable tokenizer: { name, count(text) → number }.
+ * Bundled: offline BPE (cl100k / o200k vocab ship with gpt-tokenizer, loaded on
+ * first use) and the old 1 token ≈ 4 chars heuristic, which is also the
+ * fallback when a BPE vocab can't be loaded. Pick one with config key `tokenizer`.
  */
 
+import { createRequire } from "module";
+import { openSteps, stepText } from "./steps.js";
+
+const require = createRequire(import.meta.url);
+
 export const TIER = {
   MINIMAL:  { name: "minimal",  budget: 80  },  // Just task + state + 1 next step
   STANDARD: { name: "standard", budget: 250 },  // + decisions + failed approaches
   FULL:     { name: "full",     budget: 600 },  // Everything
 };
 
-/** Estimate token count for a string */
+// ─── Tokenizers ───────────────────────────────────────────────────────────────
+
+const heuristic = { name: "heuristic", count: text => Math.ceil(text.length / 4) };
+
+/** BPE tokenizer backed by a bundled vocab. Falls back to the heuristic if it won't load. */
+function bpe(name, encoding) {
+  let impl;
+  return {
+    name,
+    count(text) {
+      if (impl === undefined) {
+        try { impl = require(`gpt-tokenizer/cjs/encoding/${encoding}`); }
+        catch { impl = null; }
+      }
+      // Text is data, not a chat transcript — count special-token strings as plain text
+      return impl ? impl.countTokens(text, { disallowedSpecial: new Set() }) : heuristic.count(text);
+    },
+  };
+}
+
+const TOKENIZERS = new Map([
+  ["heuristic", heuristic],
+  ["cl100k", bpe("cl100k", "cl100k_base")],
+  ["o200k", bpe("o200k", "o200k_base")],
+]);
+
+export const DEFAULT_TOKENIZER = "cl100k";
+let active = TOKENIZERS.get(DEFAULT_TOKENIZER);
+
+/** Add a tokenizer (e.g. a vendor-specific one). Selectable by name afterwards. */
+export function registerTokenizer(tokenizer) {
+  if (!tokenizer?.name || typeof tokenizer.count !== "function") {
+    throw new Error("Tokenizer needs a name and a count(text) function.");
+  }
+  TOKENIZERS.set(tokenizer.name, tokenizer);
+}
+
+/** Switch the active tokenizer. Unknown or empty names select the default. */
+export function setTokenizer(name) {
+  active = TOKENIZERS.get(name) || TOKENIZERS.get(DEFAULT_TOKENIZER);
+  return active.name;
+}
+
+export function getTokenizer() { return active.name; }
+export function listTokenizers() { return [...TOKENIZERS.keys()]; }
+
+// ─── Counting ─────────────────────────────────────────────────────────────────
+
+/** Count tokens for a string with the active tokenizer */
 export function countTokens(text) {
   if (!text) return 0;
-  return Math.ceil(text.length / 4);
+  return active.count(String(text));
 }
 
 /** Count tokens for an entire context entry object */
@@ -24,7 +79,7 @@ export function countEntryTokens(entry) {
     entry.goal,
     entry.state,
     ...(entry.decisions || []),
-    ...(entry.nextSteps || []),
+    ...(entry.nextSteps || []).map(stepText),
     ...(entry.constraints || []),
     ...(entry.approaches || []).map(a => typeof a === "object" ? `${a.description} ${a.reason || ""}` : a),
     ...(entry.filesChanged || []),
@@ -32,55 +87,150 @@ export function countEntryTokens(entry) {
   return parts.reduce((sum, p) => sum + countTokens(p), 0);
 }
 
+// ─── Budget packing ───────────────────────────────────────────────────────────
+
+/**
+ * Packing weights. Override any of them with config key `packing`.
+ *   fields   — value of one item per field
+ *   recency  — per-position decay; arrays are stored most-important/newest first
+ *   pinned   — multiplier for pinned items (entry.pinned or { pinned: true })
+ *   shorten  — cut an item that doesn't fit down to the space left, instead of dropping it
+ *   minShortenTokens — don't bother shortening into less space than this
+ */
+export const DEFAULT_PACKING = {
+  fields: { goal: 3, nextSteps: 4, decisions: 3, approaches: 3.5, constraints: 3 },
+  recency: 0.15,
+  pinned: 10,
+  shorten: true,
+  minShortenTokens: 8,
+};
+let packing = DEFAULT_PACKING;
+
+export function setPacking(overrides) {
+  packing = {
+    ...DEFAULT_PACKING,
+    ...(overrides || {}),
+    fields: { ...DEFAULT_PACKING.fields, ...(overrides?.fields || {}) },
+  };
+  return packing;
+}
+
+/** Apply the token-related keys of a repo config (tokenizer, packing). */
+export function useConfig(cfg) {
+  setTokenizer(cfg?.tokenizer);
+  setPacking(cfg?.packing);
+}
+
+const itemText = (field, item) =>
+  field === "approaches" ? `${item.description} ${item.reason || ""}`.trim()
+    : field === "nextSteps" ? stepText(item)
+    : String(item);
+
+/** Cut text down to at most `budget` tokens, ending with an ellipsis. */
+export function shortenToTokens(text, budget) {
+  if (countTokens(text) <= budget) return text;
+  let lo = 0, hi = text.length;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (countTokens(`${text.slice(0, mid).trimEnd()}…`) <= budget) lo = mid; else hi = mid - 1;
+  }
+  return lo ? `${text.slice(0, lo).trimEnd()}…` : "";
+}
+
+function shortenItem(field, item, budget) {
+  if (field === "nextSteps") return { ...item, text: shortenToTokens(item.text, budget) };
+  if (field !== "approaches") return shortenToTokens(String(item), budget);
+  // Keep the description whole if possible — the reason is what gets cut
+  const desc = countTokens(item.description);
+  if (desc < budget && item.reason) return { ...item, reason: shortenToTokens(item.reason, budget - desc) };
+  return { ...item, description: shortenToTokens(item.description, budget), reason: undefined };
+}
+
+/** 0/1 knapsack over token cost. Returns the indices of the chosen candidates. */
+function knapsack(items, capacity) {
+  const best = new Float64Array(capacity + 1);
+  const take = items.map(() => new Uint8Array(capacity + 1));
+  items.forEach((it, i) => {
+    for (let c = capacity; c >= it.tokens; c--) {
+      const v = best[c - it.tokens] + it.value;
+      if (v > best[c]) { best[c] = v; take[i][c] = 1; }
+    }
+  });
+  const chosen = new Set();
+  for (let i = items.length - 1, c = capacity; i >= 0; i--) {
+    if (take[i][c]) { chosen.add(i); c -= items[i].tokens; }
+  }
+  return chosen;
+}
+
 /**
  * Trim an entry to fit within a token budget.
- * Returns a shallow copy with truncated arrays — never mutates original.
+ * Task and state always stay. Goal, next steps, decisions, failed approaches and
+ * constraints compete for the rest by value (field weight × recency × pinned);
+ * the best-value set that fits wins, and with `shorten` the best leftover items
+ * are cut to fill the remaining space. Returns a shallow copy — never mutates
+ * the original — with `_omitted` counts per field for the prompt to report.
  */
 export function trimTobudget(entry, budget) {
   const trimmed = { ...entry };
+  const pins = new Set(entry.pinned || []);
   let used = countTokens(trimmed.task) + countTokens(trimmed.state);
 
-  // Goal
-  if (used + countTokens(trimmed.goal) <= budget) {
-    used += countTokens(trimmed.goal);
-  } else {
-    trimmed.goal = null;
-  }
+  const fields = {
+    goal: entry.goal ? [entry.goal] : [],
+    // Only steps still to do — done and dropped ones never reach the prompt
+    nextSteps: openSteps(entry.nextSteps),
+    decisions: entry.decisions || [],
+    // Failed approaches only (most valuable for avoiding mistakes)
+    approaches: (entry.approaches || []).filter(a => typeof a === "object" && a.failed),
+    constraints: entry.constraints || [],
+  };
 
-  // Next steps — keep as many as fit
-  trimmed.nextSteps = [];
-  for (const step of (entry.nextSteps || [])) {
-    const t = countTokens(step);
-    if (used + t <= budget) { trimmed.nextSteps.push(step); used += t; }
-    else break;
+  const candidates = [];
+  for (const [field, items] of Object.entries(fields)) {
+    items.forEach((item, i) => {
+      const text = itemText(field, item);
+      const pinned = item?.pinned === true || pins.has(text) || pins.has(item?.description ?? item);
+      candidates.push({
+        field, i, item,
+        tokens: countTokens(text),
+        value: (packing.fields[field] ?? 1) * Math.pow(1 - packing.recency, i) * (pinned ? packing.pinned : 1),
+      });
+    });
   }
 
-  // Decisions
-  trimmed.decisions = [];
-  for (const d of (entry.decisions || [])) {
-    const t = countTokens(d);
-    if (used + t <= budget) { trimmed.decisions.push(d); used += t; }
-    else break;
-  }
+  const capacity = Math.max(0, budget - used);
+  const chosen = knapsack(candidates, capacity);
+  const kept = new Map(); // candidate → item to emit (possibly shortened)
+  chosen.forEach(idx => { kept.set(candidates[idx], candidates[idx].item); used += candidates[idx].tokens; });
 
-  // Failed approaches only (most valuable for avoiding mistakes)
-  trimmed.approaches = [];
-  const failed = (entry.approaches || []).filter(a => typeof a === "object" && a.failed);
-  for (const a of failed) {
-    const t = countTokens(a.description) + countTokens(a.reason);
-    if (used + t <= budget) { trimmed.approaches.push(a); used += t; }
-    else break;
+  const shortened = [];
+  if (packing.shorten) {
+    const leftovers = candidates.filter((_, idx) => !chosen.has(idx)).sort((a, b) => b.value - a.value);
+    for (const c of leftovers) {
+      const room = budget - used;
+      if (room < packing.minShortenTokens) break;
+      const cut = shortenItem(c.field, c.item, room);
+      const t = countTokens(itemText(c.field, cut));
+      if (!t || t > room) continue;
+      kept.set(c, cut);
+      used += t;
+      shortened.push(c.field);
+    }
   }
 
-  // Constraints
-  trimmed.constraints = [];
-  for (const c of (entry.constraints || [])) {
-    const t = countTokens(c);
-    if (used + t <= budget) { trimmed.constraints.push(c); used += t; }
-    else break;
+  // Emit in original order, count what didn't make it
+  const omitted = {};
+  for (const [field, items] of Object.entries(fields)) {
+    const out = candidates.filter(c => c.field === field && kept.has(c)).sort((a, b) => a.i - b.i).map(c => kept.get(c));
+    if (items.length > out.length) omitted[field] = items.length - out.length;
+    if (field === "goal") trimmed.goal = out[0] || null;
+    else trimmed[field] = out;
   }
 
   trimmed._tokenCount = used;
+  trimmed._omitted = omitted;
+  trimmed._shortened = shortened.length;
   trimmed._tier = budget <= TIER.MINIMAL.budget ? "minimal" : budget <= TIER.STANDARD.budget ? "standard" : "full";
   return trimmed;
 }
@@ -0,0 +1,26 @@
+/**
+ * userdir.js — Per-user files that must never land in a repo
+ * Lives in ~/.devctx (override with DEVCTX_HOME). Written owner-only.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync, chmodSync } from "fs";
+import { join } from "path";
+import { homedir } from "os";
+
+export function userDir() {
+  return process.env.DEVCTX_HOME || join(homedir(), ".devctx");
+}
+
+export function readUserJson(name) {
+  const p = join(userDir(), name);
+  return existsSync(p) ? JSON.parse(readFileSync(p, "utf8")) : null;
+}
+
+export function writeUserJson(name, data) {
+  const dir = userDir();
+  mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const p = join(dir, name);
+  writeFileSync(p, JSON.stringify(data, null, 2), { mode: 0o600 });
+  chmodSync(p, 0o600); // mode only applies on create
+  return p;
+}
@@ -0,0 +1,117 @@
+/**
+ * validate.js — Check every file under .devctx/ against the record schemas
+ *
+ *   config.json                 Config
+ *   decisions/<id>.json         Decision, and the file must be named after its id
+ *   branches.json               BranchManifest, and every dir must be its branch's encoding
+ *   branches/<b>/index.json     IndexFile, and every row must have its entry file
+ *   branches/<b>/<id>.json      Entry, or SealedEntry when encrypted
+ *   local/branches/…            the same, for private entries (scope: "private")
+ *   archive/<b>.jsonl.gz        Entry per line (local/archive/ for private ones)
+ *
+ * Read-only: nothing is fixed, only reported as { file, path, message }.
+ */
+
+import { readFileSync, existsSync, readdirSync } from "fs";
+import { join, relative, basename } from "path";
+import { gunzipSync } from "zlib";
+import { devctxDir, scopeDir, scopeOf, encodeBranch, formatVersion, SCOPES, STORAGE_VERSION } from "./storage.js";
+import { Config, Decision, BranchManifest, IndexFile, Entry, SealedEntry, check } from "./schemas.js";
+import { isSealed } from "./crypt.js";
+import { archiveFiles } from "./gc.js";
+import { decisionFiles } from "./decisions.js";
+
+function readJson(p, problems, root) {
+  try {
+    return JSON.parse(readFileSync(p, "utf8"));
+  } catch (e) {
+    problems.push({ file: relative(root, p), path: "(root)", message: `Invalid JSON: ${e.message}` });
+    return undefined;
+  }
+}
+
+const entrySchema = (data) => isSealed(data) ? SealedEntry : Entry;
+
+/** `schema` may be a function of the parsed data, for files with more than one shape. */
+function checkFile(p, schema, problems, root) {
+  const data = readJson(p, problems, root);
+  if (data === undefined) return null;
+  const { issues } = check(typeof schema === "function" ? schema(data) : schema, data);
+  for (const i of issues || []) problems.push({ file: relative(root, p), ...i });
+  return data;
+}
+
+/** Validate .devctx/ in `cwd`. Returns { ok, checked, problems }. */
+export function validateRepo(cwd = process.cwd()) {
+  const dir = devctxDir(cwd);
+  const problems = [];
+  let checked = 0;
+  if (!existsSync(join(dir, "config.json"))) {
+    return { ok: false, checked, problems: [{ file: ".devctx/config.json", path: "(root)", message: "Missing. Run devctx_init." }] };
+  }
+
+  const cfg = checkFile(join(dir, "config.json"), Config, problems, cwd); checked++;
+  const version = cfg && formatVersion(cfg);
+  if (version && version !== STORAGE_VERSION) {
+    problems.push({ file: ".devctx/config.json", path: "version", message: version < STORAGE_VERSION
+      ? `Storage version ${version} is out of date (current: ${STORAGE_VERSION}). Run devctx migrate.`
+      : `Storage version ${version} is newer than this devctx reads (${STORAGE_VERSION}). Upgrade devctx.` });
+  }
+  for (const p of decisionFiles(cwd)) {
+    const d = checkFile(p, Decision, problems, cwd); checked++;
+    if (typeof d?.id === "string" && basename(p) !== `${d.id}.json`)
+      problems.push({ file: relative(cwd, p), path: "id", message: `Expected the file to be named ${d.id}.json` });
+  }
+  if (existsSync(join(dir, "decisions.json")))
+    problems.push({ file: ".devctx/decisions.json", path: "(root)", message: "Register from before one file per decision. Run devctx migrate." });
+  if (existsSync(join(dir, "branches.json"))) {
+    const manifest = checkFile(join(dir, "branches.json"), BranchManifest, problems, cwd); checked++;
+    for (const [name, b] of Object.entries(manifest?.branches || {})) {
+      if (b?.dir !== encodeBranch(name))
+        problems.push({ file: ".devctx/branches.json", path: `branches.${name}.dir`, message: `Expected ${encodeBranch(name)}` });
+    }
+  }
+
+  for (const scope of SCOPES) {
+    const branches = join(scopeDir(scope, cwd), "branches");
+    for (const b of existsSync(branches) ? readdirSync(branches) : []) {
+      const bdir = join(branches, b);
+      const files = readdirSync(bdir).filter(f => f.endsWith(".json") && f !== "index.json");
+      for (const f of files) {
+        const entry = checkFile(join(bdir, f), entrySchema, problems, cwd); checked++;
+        if (typeof entry?.branch === "string" && encodeBranch(entry.branch) !== b)
+          problems.push({ file: relative(cwd, join(bdir, f)), path: "branch", message: `Belongs in branches/${encodeBranch(entry.branch)}. Run devctx migrate.` });
+        if (entry && scopeOf(entry) !== scope)
+          problems.push({ file: relative(cwd, join(bdir, f)), path: "scope", message: scope === "private" ? "Expected \"private\" under .devctx/local/" : "Private entry in the shared tree. Move it to .devctx/local/." });
+      }
+
+      const indexPath = join(bdir, "index.json");
+      if (!existsSync(indexPath)) {
+        if (files.length) problems.push({ file: relative(cwd, indexPath), path: "(root)", message: "Missing index.json" });
+        continue;
+      }
+      const index = checkFile(indexPath, IndexFile, problems, cwd); checked++;
+      (Array.isArray(index?.entries) ? index.entries : []).forEach((row, i) => {
+        if (row?.id && !files.includes(`${row.id}.json`))
+          problems.push({ file: relative(cwd, indexPath), path: `entries.${i}`, message: `Entry file ${row.id}.json is missing` });
+      });
+    }
+  }
+
+  for (const p of archiveFiles(cwd)) {
+    const file = relative(cwd, p);
+    let lines;
+    try { lines = gunzipSync(readFileSync(p)).toString("utf8").split("\n"); }
+    catch (e) { problems.push({ file, path: "(root)", message: `Unreadable archive: ${e.message}` }); continue; }
+    lines.forEach((line, n) => {
+      if (!line.trim()) return;
+      checked++;
+      let data;
+      try { data = JSON.parse(line); }
+      catch (e) { problems.push({ file, path: `line ${n + 1}`, message: `Invalid JSON: ${e.message}` }); return; }
+      for (const i of check(entrySchema(data), data).issues || []) problems.push({ file, path: `line ${n + 1}: ${i.path}`, message: i.message });
+    });
+  }
+
+  return { ok: problems.length === 0, checked, problems };
+}
@@ -0,0 +1,168 @@
+/**
+ * watch.js — File watchers behind resources/subscribe
+ *
+ * One set of watchers per repo, shared by every session subscribed to it:
+ *   .devctx/    recursive  saves, pulls, gc, decisions (one watcher per
+ *                          directory where fs.watch can't recurse: Linux before Node 20)
+ *   <git dir>   HEAD only  branch switches
+ * Bursts (a pull touching many files) are debounced into one change:
+ *   { head, all, branches: Set<branch dir> }
+ */
+
+import { watch, existsSync, readdirSync, statSync } from "fs";
+import { basename, join } from "path";
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { devctxDir, branchDir } from "./storage.js";
+import { getGitDir, getCurrentBranch } from "./git.js";
+import { parseBranchUri } from "./handlers.js";
+
+const DEBOUNCE_MS = 250;
+
+/** cwd → { listeners, watchers, pending, timer } */
+const repos = new Map();
+
+function record(repo, { head = false, all = false, branches = [] }) {
+  const p = repo.pending ||= { head: false, all: false, branches: new Set() };
+  p.head ||= head;
+  p.all ||= all;
+  branches.forEach(b => p.branches.add(b));
+  clearTimeout(repo.timer);
+  repo.timer = setTimeout(() => {
+    const change = repo.pending;
+    repo.pending = null;
+    for (const fn of repo.listeners) fn(change);
+  }, DEBOUNCE_MS);
+}
+
+/**
+ * Path under .devctx/ → what it affects. The branch manifest only changes alongside
+ * an entry; the lock, temp files and the rest of local/ (resume markers, archive,
+ * .gitignore) are plumbing. Anything else outside branches/ and local/branches/
+ * (config, decisions) affects all.
+ */
+function classify(file) {
+  const parts = (file || "").split(/[\\/]/);
+  const local = parts[0] === "local";
+  const [top, dir] = local ? parts.slice(1) : parts;
+  if (top === "branches") return dir ? { branches: [dir] } : { all: true };
+  if (local || top === "branches.json" || top === ".lock" || /\.tmp$/.test(file)) return { branches: [] };
+  return { all: true };
+}
+
+function add(repo, w) {
+  w.on("error", (e) => console.error(`[devctx] Watcher error: ${e.message}`));
+  w.unref();
+  repo.watchers.push(w);
+  return w;
+}
+
+const isDir = (p) => existsSync(p) && statSync(p).isDirectory();
+
+/** Watch `dir` and everything below it; `onFile` gets paths relative to `dir`. */
+function watchTree(repo, dir, onFile) {
+  try {
+    return add(repo, watch(dir, { recursive: true }, (_, f) => onFile(f)));
+  } catch (e) {
+    if (e.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw e;
+  }
+  const watched = new Set();
+  const follow = (rel) => {
+    const abs = join(dir, rel);
+    if (watched.has(abs) || !isDir(abs)) return;
+    watched.add(abs);
+    add(repo, watch(abs, (_, f) => {
+      if (!f) return;
+      const path = rel ? join(rel, f) : f;
+      if (!existsSync(join(dir, path))) watched.delete(join(dir, path)); // so it is watched again if it comes back
+      follow(path); // a new directory, e.g. a branch's first save
+      onFile(path);
+    }));
+    for (const d of readdirSync(abs, { withFileTypes: true })) if (d.isDirectory()) follow(rel ? join(rel, d.name) : d.name);
+  };
+  follow("");
+}
+
+function arm(cwd, repo) {
+  const dir = devctxDir(cwd);
+  const gitDir = getGitDir(cwd);
+  // git replaces HEAD by renaming HEAD.lock, so watch the directory, not the file
+  if (gitDir) add(repo, watch(gitDir, (_, f) => { if (f === "HEAD") record(repo, { head: true }); }));
+
+  const watchDevctx = () => watchTree(repo, dir, (f) => record(repo, classify(f)));
+  if (existsSync(dir)) return watchDevctx();
+  // Not initialized yet — wait for .devctx/ to appear
+  const w = add(repo, watch(cwd, (_, f) => {
+    if (f !== ".devctx" || !existsSync(dir)) return;
+    w.close();
+    repo.watchers = repo.watchers.filter(x => x !== w);
+    watchDevctx();
+    record(repo, { all: true });
+  }));
+}
+
+/** Call `listener(change)` on context changes in `cwd`. Returns an unsubscribe function. */
+export function watchRepo(cwd, listener) {
+  let repo = repos.get(cwd);
+  if (!repo) {
+    repo = { listeners: new Set(), watchers: [], pending: null, timer: null };
+    try {
+      arm(cwd, repo);
+    } catch (e) {
+      repo.watchers.forEach(w => w.close());
+      throw e;
+    }
+    repos.set(cwd, repo); // only once armed: a failed attempt must not leave later subscribers without watchers
+  }
+  repo.listeners.add(listener);
+  return () => {
+    repo.listeners.delete(listener);
+    if (repo.listeners.size) return;
+    clearTimeout(repo.timer);
+    repo.watchers.forEach(w => w.close());
+    repos.delete(cwd);
+  };
+}
+
+const dirOf = (branch, cwd) => basename(branchDir(branch, cwd));
+
+/** Does `change` touch what `uri` shows? devctx://context* follows the checked-out branch. */
+function affects(uri, change, cwd) {
+  if (change.all) return true;
+  const target = parseBranchUri(uri);
+  if (target) return change.branches.has(dirOf(target.branch, cwd));
+  return change.head || change.branches.has(dirOf(getCurrentBranch(cwd), cwd));
+}
+
+/** resources/subscribe + unsubscribe for one server; watchers live while anything is subscribed. */
+export function handleSubscriptions(server, workspace) {
+  const uris = new Set();
+  let cwd = null, stop = null;
+
+  const onChange = (change) => {
+    for (const uri of uris) {
+      if (affects(uri, change, cwd)) server.sendResourceUpdated({ uri }).catch(() => { /* client gone */ });
+    }
+  };
+
+  server.setRequestHandler(SubscribeRequestSchema, async (req) => {
+    if (!stop) {
+      cwd = await workspace.resolve({});
+      stop = watchRepo(cwd, onChange);
+    }
+    uris.add(req.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (req) => {
+    uris.delete(req.params.uri);
+    if (!uris.size && stop) { stop(); stop = null; }
+    return {};
+  });
+
+  const onclose = server.onclose;
+  server.onclose = () => {
+    stop?.();
+    stop = null;
+    onclose?.();
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * workspace.js — Which repo a request acts on
+ *
+ * One server may face many repos: an editor with several folders open, a stdio
+ * server launched from $HOME, or one HTTP server shared by several projects.
+ * First match wins:
+ *   1. args.cwd            an explicit path from the caller
+ *   2. the pinned root     HTTP sessions opened on /w/<name>/…
+ *   3. the client's roots  MCP roots/list — initialized repos first, then any git repo
+ *   4. process.cwd()
+ * An explicit cwd must lie inside the pinned root, else inside one of the
+ * client's roots, else inside the server's own repo or a registered workspace,
+ * so a session can't reach another repo on the host.
+ * Paths are normalized to the git top level so a subfolder shares its repo's .devctx/.
+ *
+ * Named workspaces for the HTTP server live in ~/.devctx/workspaces.json.
+ */
+
+import { existsSync, statSync, realpathSync } from "fs";
+import { resolve, relative, isAbsolute, basename, sep } from "path";
+import { fileURLToPath } from "url";
+import { ErrorCode, McpError, RootsListChangedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { getRepoRoot, isGitRepo } from "./git.js";
+import { isInitialized } from "./storage.js";
+import { readUserJson, writeUserJson } from "./userdir.js";
+
+/** Git top level for a directory, or the directory itself outside git. */
+export const repoOf = (dir) => getRepoRoot(dir) || resolve(dir);
+
+const isDir = (p) => existsSync(p) && statSync(p).isDirectory();
+
+const real = (p) => { try { return realpathSync(p); } catch { return resolve(p); } };
+
+/** `dir` is `base` or below it, symlinks followed. */
+function isInside(dir, base) {
+  const rel = relative(real(base), real(dir));
+  return rel === "" || (rel !== ".." && !rel.startsWith(`..${sep}`) && !isAbsolute(rel));
+}
+
+/** file:// roots → existing directories (other schemes are ignored). */
+function rootDirs(roots = []) {
+  return roots
+    .filter(r => r.uri?.startsWith("file://"))
+    .map(r => fileURLToPath(r.uri))
+    .filter(isDir);
+}
+
+/** Best repo among the client's roots: one with .devctx/, else any git repo, else the first. */
+function pickRoot(dirs) {
+  return dirs.find(d => isInitialized(repoOf(d))) || dirs.find(d => isGitRepo(d)) || dirs[0] || null;
+}
+
+/**
+ * Track a server's client roots and resolve each request's repo against them.
+ * `root` pins every request without an explicit cwd to one repo.
+ */
+export function createWorkspace(server, { root = null } = {}) {
+  let roots = [];
+  let pending = null;
+
+  function refresh() {
+    if (!server.getClientCapabilities()?.roots) return null;
+    pending = server.listRoots()
+      .then(r => { roots = rootDirs(r.roots); })
+      .catch(e => console.error(`[devctx] roots/list failed: ${e.message}`))
+      .finally(() => { pending = null; });
+    return pending;
+  }
+
+  server.oninitialized = () => { refresh(); };
+  server.setNotificationHandler(RootsListChangedNotificationSchema, async () => { await refresh(); });
+
+  return {
+    roots: () => roots,
+    /** Repo path for a request's args. */
+    async resolve(args = {}) {
+      if (pending) await pending;
+      if (args.cwd) {
+        const dir = resolve(args.cwd), repo = repoOf(dir);
+        const allowed = root ? [root] : roots.length ? roots : [repoOf(process.cwd()), ...Object.values(listWorkspaces())];
+        if (!allowed.some(a => isInside(dir, a) || repo === repoOf(a))) {
+          throw new McpError(ErrorCode.InvalidParams, `cwd '${args.cwd}' is outside this session's workspace (${allowed.join(", ")}).`);
+        }
+        return repo;
+      }
+      if (root) return repoOf(root);
+      const picked = pickRoot(roots);
+      return repoOf(picked || process.cwd());
+    },
+  };
+}
+
+// ─── Named workspaces (HTTP /w/<name>/…) ──────────────────────────────────────
+
+const REGISTRY = "workspaces.json";
+
+export function listWorkspaces() {
+  return readUserJson(REGISTRY)?.workspaces || {};
+}
+
+export function findWorkspace(name) {
+  return listWorkspaces()[name] || null;
+}
+
+/** Register `dir` (its repo root) under `name`. Name defaults to the folder name. */
+export function addWorkspace(name, dir = process.cwd()) {
+  const path = repoOf(dir);
+  if (!isDir(path)) throw new Error(`Not a directory: ${path}`);
+  const ws = name || basename(path);
+  if (!/^[a-zA-Z0-9._-]+$/.test(ws)) throw new Error(`Workspace names may only use letters, digits, '.', '_' and '-': '${ws}'`);
+  writeUserJson(REGISTRY, { workspaces: { ...listWorkspaces(), [ws]: path } });
+  return { name: ws, path };
+}
+
+export function removeWorkspace(name) {
+  const all = listWorkspaces();
+  if (!all[name]) return false;
+  delete all[name];
+  writeUserJson(REGISTRY, { workspaces: all });
+  return true;
+}